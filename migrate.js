@@ -0,0 +1,172 @@
+// Numbered database migrations for Tomato AI
+//
+//   node migrate.js status              List migrations and whether they are applied
+//   node migrate.js migrate [version]   Apply pending migrations, up to `version` if given
+//   node migrate.js rollback [steps]    Revert the most recent applied migrations (default 1);
+//                                       migrations marked `destructive` also need --force
+//
+// Migrations live in migrations/NNN_name.js and export `up(client)` and `down(client)`.
+// Each runs in its own transaction and is recorded in schema_migrations. The server applies
+// pending migrations on startup.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Key for the Postgres advisory lock held while migrating; any constant shared by all instances works
+const MIGRATION_LOCK_KEY = 827411001;
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Reads the migration files, ordered by version
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_\w+\.js$/.test(file))
+        .map(file => {
+            const { up, down, destructive = false } = require(path.join(MIGRATIONS_DIR, file));
+            return { version: parseInt(file, 10), name: file.replace(/^\d+_|\.js$/g, ''), up, down, destructive };
+        })
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}.`);
+        }
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${migration.version} must export up and down functions.`);
+        }
+    });
+    return migrations;
+};
+
+// Runs `fn` while holding the migration advisory lock. A second process waits here until the first has
+// finished, then finds nothing left to apply. The lock is tied to the connection, so it is also released
+// if the process dies.
+const withMigrationLock = async (client, fn) => {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+        return await fn();
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+};
+
+const getAppliedMigrations = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+};
+
+const runMigration = async (client, migration, direction) => {
+    await client.query('BEGIN');
+    try {
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${label(migration)} (${direction}) failed: ${error.message}`, { cause: error });
+    }
+};
+
+// Applies pending migrations in order, up to `to` if given; call inside withMigrationLock
+const migrateUp = async (client, { to = Infinity, log = console.log } = {}) => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version) && migration.version <= to);
+    for (const migration of pending) {
+        log(`Applying migration ${label(migration)}...`);
+        await runMigration(client, migration, 'up');
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+};
+
+// Reverts the last `steps` applied migrations, newest first; call inside withMigrationLock.
+// Nothing is reverted if one of them is destructive and `force` is not set.
+const migrateDown = async (client, { steps = 1, force = false, log = console.log } = {}) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const toRevert = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    for (const row of toRevert) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+            throw new Error(`Migration ${label(row)} is applied but its file is missing.`);
+        }
+        if (migration.destructive && !force) {
+            throw new Error(`Reverting migration ${label(migration)} deletes data; nothing was reverted. Pass --force to revert it anyway.`);
+        }
+    }
+    for (const row of toRevert) {
+        const migration = migrations.get(row.version);
+        log(`Reverting migration ${label(migration)}...`);
+        await runMigration(client, migration, 'down');
+    }
+    return toRevert.map(({ version, name }) => ({ version, name }));
+};
+
+// Every known migration with its applied time (null while pending), including applied migrations whose
+// file no longer exists
+const getMigrationStatus = async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+    const status = loadMigrations().map(({ version, name }) => ({ version, name, appliedAt: applied.get(version)?.applied_at || null, missing: false }));
+    for (const row of applied.values()) {
+        if (!status.some(migration => migration.version === row.version)) {
+            status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+        }
+    }
+    return status.sort((a, b) => a.version - b.version);
+};
+
+const runCli = async (args) => {
+    const force = args.includes('--force');
+    const [command, arg] = args.filter(value => value !== '--force');
+    const number = arg === undefined ? undefined : parseInt(arg, 10);
+    if (!['status', 'migrate', 'rollback'].includes(command) || (arg !== undefined && !(number > 0))) {
+        console.error('Usage: node migrate.js status | migrate [version] | rollback [steps] [--force]');
+        return 1;
+    }
+    if (!process.env.DATABASE_URL) {
+        console.error('DATABASE_URL is not set.');
+        return 1;
+    }
+
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+    const client = await pool.connect();
+    try {
+        if (command === 'status') {
+            const status = await getMigrationStatus(client);
+            const width = Math.max(0, ...status.map(migration => label(migration).length));
+            for (const migration of status) {
+                const state = migration.missing ? 'applied, file missing' : migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+                console.log(`${label(migration).padEnd(width)}  ${state}`);
+            }
+        } else if (command === 'migrate') {
+            const applied = await withMigrationLock(client, () => migrateUp(client, { to: number }));
+            console.log(applied.length ? `Applied ${applied.map(label).join(', ')}.` : 'Nothing to migrate.');
+        } else {
+            const reverted = await withMigrationLock(client, () => migrateDown(client, { steps: number, force }));
+            console.log(reverted.length ? `Reverted ${reverted.map(label).join(', ')}.` : 'Nothing to roll back.');
+        }
+        return 0;
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    runCli(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { loadMigrations, withMigrationLock, migrateUp, migrateDown, getMigrationStatus };
@@ -0,0 +1,377 @@
+// The schema as it stood before migrations were introduced. Every statement is idempotent,
+// so on a database created by the old startup code this records the schema as applied
+// without changing it.
+
+exports.up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS settings (
+            key VARCHAR(255) PRIMARY KEY,
+            value JSONB
+        );
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            email VARCHAR(100) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            points INTEGER DEFAULT 10,
+            country VARCHAR(5),
+            is_admin BOOLEAN DEFAULT FALSE,
+            status VARCHAR(20) DEFAULT 'active',
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            last_login TIMESTAMP WITH TIME ZONE,
+            referral_code VARCHAR(20) UNIQUE,
+            referrer_id INTEGER,
+            last_daily_claim TIMESTAMP WITH TIME ZONE,
+            referrals INTEGER DEFAULT 0
+        );
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS history (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            type VARCHAR(50),
+            prompt TEXT,
+            result_url TEXT,
+            cost INTEGER,
+            date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(64),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            revoked_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS points_transactions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            amount INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            reason VARCHAR(50) NOT NULL,
+            reference_type VARCHAR(30),
+            reference_id VARCHAR(255),
+            metadata JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_points_transactions_user_id ON points_transactions(user_id, id)');
+    // The ledger is append-only: corrections are recorded as new entries, never by editing old ones
+    await client.query(`
+        CREATE OR REPLACE FUNCTION reject_points_transaction_change() RETURNS trigger AS $$
+        BEGIN
+            RAISE EXCEPTION 'points_transactions is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+    await client.query('DROP TRIGGER IF EXISTS points_transactions_append_only ON points_transactions');
+    await client.query(`
+        CREATE TRIGGER points_transactions_append_only BEFORE UPDATE OR DELETE ON points_transactions
+        FOR EACH ROW EXECUTE FUNCTION reject_points_transaction_change();
+    `);
+    // Balances that predate the ledger are recorded once as an opening entry so they reconcile
+    await client.query(`
+        INSERT INTO points_transactions (user_id, amount, balance_after, reason)
+        SELECT id, COALESCE(points, 0), COALESCE(points, 0), 'opening_balance' FROM users
+        WHERE id NOT IN (SELECT user_id FROM points_transactions)
+    `);
+
+    await client.query(`
+        ALTER TABLE history
+            ADD COLUMN IF NOT EXISTS provider VARCHAR(30),
+            ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS style VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS result_text TEXT,
+            ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'succeeded',
+            ADD COLUMN IF NOT EXISTS duration_ms INTEGER,
+            ADD COLUMN IF NOT EXISTS error_message VARCHAR(500)
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_history_user_id_id ON history(user_id, id)');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS assets (
+            id UUID PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            storage_key VARCHAR(255) NOT NULL,
+            mime_type VARCHAR(100) NOT NULL,
+            size_bytes INTEGER NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('ALTER TABLE history ADD COLUMN IF NOT EXISTS asset_id UUID REFERENCES assets(id) ON DELETE SET NULL');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ai_jobs (
+            id UUID PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            category VARCHAR(20) NOT NULL,
+            payload JSONB NOT NULL,
+            history_entry JSONB,
+            hold_id INTEGER,
+            status VARCHAR(20) NOT NULL DEFAULT 'queued',
+            progress INTEGER NOT NULL DEFAULT 0,
+            result JSONB,
+            error_message VARCHAR(500),
+            history_id INTEGER,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            locked_by VARCHAR(64),
+            heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            started_at TIMESTAMP WITH TIME ZONE,
+            finished_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ai_jobs_status_heartbeat ON ai_jobs(status, heartbeat_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ai_jobs_user_id ON ai_jobs(user_id, created_at)');
+
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS held_points INTEGER NOT NULL DEFAULT 0');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS points_holds (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            amount INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'held',
+            metadata JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            closed_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_points_holds_status_expires ON points_holds(status, expires_at)');
+
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS email_tokens (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            purpose VARCHAR(20) NOT NULL,
+            token_hash VARCHAR(64) UNIQUE NOT NULL,
+            email VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            used_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            checkout_session_id VARCHAR(255) UNIQUE NOT NULL,
+            payment_intent_id VARCHAR(255) UNIQUE,
+            package_id VARCHAR(50),
+            points INTEGER NOT NULL,
+            points_reversed INTEGER NOT NULL DEFAULT 0,
+            amount_total INTEGER NOT NULL,
+            amount_refunded INTEGER NOT NULL DEFAULT 0,
+            currency VARCHAR(3) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'paid',
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id, id)');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255)');
+    await client.query(`
+        ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS daily_streak INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS last_claim_date VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS last_claim_timezone VARCHAR(64)
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS subscriptions (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            stripe_subscription_id VARCHAR(255) UNIQUE NOT NULL,
+            plan_id VARCHAR(50),
+            status VARCHAR(30) NOT NULL,
+            current_period_end TIMESTAMP WITH TIME ZONE,
+            cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+            allowance_remaining INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS referrals (
+            id SERIAL PRIMARY KEY,
+            referrer_id INTEGER NOT NULL REFERENCES users(id),
+            referee_id INTEGER UNIQUE NOT NULL REFERENCES users(id),
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            reject_reason VARCHAR(30),
+            bonus INTEGER NOT NULL,
+            email_fingerprint VARCHAR(255),
+            ip_hash VARCHAR(64),
+            qualified_by VARCHAR(20),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            rewarded_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals(referrer_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_referrals_email_fingerprint ON referrals(email_fingerprint)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS promo_codes (
+            id SERIAL PRIMARY KEY,
+            code VARCHAR(50) UNIQUE NOT NULL,
+            kind VARCHAR(20) NOT NULL,
+            points INTEGER,
+            percent_off INTEGER,
+            expires_at TIMESTAMP WITH TIME ZONE,
+            max_redemptions INTEGER,
+            per_user_limit INTEGER NOT NULL DEFAULT 1,
+            countries JSONB,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            description TEXT,
+            redemption_count INTEGER NOT NULL DEFAULT 0,
+            stripe_coupon_id VARCHAR(255),
+            created_by INTEGER REFERENCES users(id),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS promo_redemptions (
+            id SERIAL PRIMARY KEY,
+            code_id INTEGER NOT NULL REFERENCES promo_codes(id),
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            points INTEGER NOT NULL DEFAULT 0,
+            checkout_session_id VARCHAR(255),
+            discount_amount INTEGER NOT NULL DEFAULT 0,
+            currency VARCHAR(3),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_user ON promo_redemptions(code_id, user_id)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            key VARCHAR(255) PRIMARY KEY,
+            count INTEGER NOT NULL,
+            reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+        );
+    `);
+    // Every processed webhook event, so a redelivered event is acknowledged without being applied twice
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS stripe_events (
+            id VARCHAR(255) PRIMARY KEY,
+            type VARCHAR(100) NOT NULL,
+            processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    // Every login attempt, successful or not; consecutive failures drive the account lockout
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            identifier VARCHAR(255) NOT NULL,
+            ip_address VARCHAR(64),
+            user_agent VARCHAR(255),
+            success BOOLEAN NOT NULL,
+            failure_reason VARCHAR(30),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier ON login_attempts(identifier, id)');
+    // TOTP secrets live outside the users table so they never leak through user rows; enabled_at is NULL until setup is confirmed
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS user_totp (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            secret VARCHAR(64) NOT NULL,
+            last_used_step BIGINT,
+            enabled_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS user_recovery_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            code_hash VARCHAR(64) NOT NULL,
+            used_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id)');
+    // Who changed what through the admin API; `changes` maps each changed field to { from, to }
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id SERIAL PRIMARY KEY,
+            actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            action VARCHAR(50) NOT NULL,
+            target_type VARCHAR(30) NOT NULL,
+            target_id VARCHAR(100),
+            changes JSONB NOT NULL DEFAULT '{}',
+            ip_address VARCHAR(64),
+            user_agent VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id, id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id, id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)');
+    // Every saved version of the settings document; the id is the revision number
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS settings_revisions (
+            id SERIAL PRIMARY KEY,
+            value JSONB NOT NULL,
+            changes JSONB NOT NULL DEFAULT '{}',
+            author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            action VARCHAR(20) NOT NULL,
+            source_revision INTEGER,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    // Page views from the analytics beacon; visitor_hash is only stable within one day (see getVisitorHash in server.js)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS page_views (
+            id SERIAL PRIMARY KEY,
+            day DATE NOT NULL,
+            visitor_hash VARCHAR(64) NOT NULL,
+            path VARCHAR(255) NOT NULL,
+            referrer_host VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_page_views_day ON page_views(day, visitor_hash)');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS analytics_salts (
+            day DATE PRIMARY KEY,
+            salt VARCHAR(64) NOT NULL
+        );
+    `);
+    // Date-range scans for the admin analytics
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_history_date ON history(date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_points_transactions_created_at ON points_transactions(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts(created_at)');
+};
+
+// Reverting drops every table with all its data, so the runner only does it when forced
+exports.destructive = true;
+
+exports.down = async (client) => {
+    await client.query(`
+        DROP TABLE IF EXISTS
+            analytics_salts, page_views, settings_revisions, audit_log, user_recovery_codes, user_totp, login_attempts,
+            stripe_events, rate_limits, promo_redemptions, promo_codes, referrals, subscriptions, payments, email_tokens,
+            points_holds, ai_jobs, assets, points_transactions, user_sessions, history, users, settings
+    `);
+    await client.query('DROP FUNCTION IF EXISTS reject_points_transaction_change()');
+};
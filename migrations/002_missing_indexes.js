@@ -0,0 +1,16 @@
+// Indexes for lookups that so far scanned whole tables
+
+exports.up = async (client) => {
+    // History filtered by date range (GET /api/history?from=&to=)
+    await client.query('CREATE INDEX IF NOT EXISTS idx_history_user_id_date ON history(user_id, date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_email_tokens_user_id ON email_tokens(user_id, purpose)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user_id ON promo_redemptions(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at)');
+};
+
+exports.down = async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_history_user_id_date');
+    await client.query('DROP INDEX IF EXISTS idx_email_tokens_user_id');
+    await client.query('DROP INDEX IF EXISTS idx_promo_redemptions_user_id');
+    await client.query('DROP INDEX IF EXISTS idx_rate_limits_reset_at');
+};
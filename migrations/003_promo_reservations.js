@@ -0,0 +1,19 @@
+// Discount codes are reserved when a checkout session is created; a reservation stays pending until
+// the payment completes and is deleted if the session expires
+
+exports.up = async (client) => {
+    await client.query("ALTER TABLE promo_redemptions ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed'");
+    await client.query('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_checkout_session_id ON promo_redemptions(checkout_session_id)');
+};
+
+exports.down = async (client) => {
+    await client.query('DROP INDEX IF EXISTS idx_promo_redemptions_checkout_session_id');
+    // Pending reservations have no place in the old schema; give their uses back to the codes
+    await client.query(`
+        UPDATE promo_codes c SET redemption_count = c.redemption_count - p.count
+        FROM (SELECT code_id, COUNT(*) AS count FROM promo_redemptions WHERE status = 'pending' GROUP BY code_id) p
+        WHERE c.id = p.code_id
+    `);
+    await client.query("DELETE FROM promo_redemptions WHERE status = 'pending'");
+    await client.query('ALTER TABLE promo_redemptions DROP COLUMN IF EXISTS status');
+};
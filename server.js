@@ -3,8 +3,15 @@ const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
 const Stripe = require('stripe');
-const { GoogleGenAI } = require('@google/genai');
+const { GoogleGenAI, Modality } = require('@google/genai');
 const crypto = require('crypto');
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const zlib = require('zlib');
+const { withMigrationLock, migrateUp } = require('./migrate');
 require('dotenv').config();
 
 const app = express();
@@ -51,6 +58,12 @@ if (!webhookSecret) {
     console.warn("متغير البيئة STRIPE_WEBHOOK_SECRET غير موجود. سيفشل التحقق من الويب هوك.");
 }
 
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn("متغير البيئة JWT_SECRET غير موجود. تم إنشاء مفتاح مؤقت، وستصبح جميع الجلسات غير صالحة عند إعادة تشغيل الخادم.");
+}
+
 let ai;
 let aiInitializationError = null;
 if (process.env.API_KEY) {
@@ -75,9 +88,116 @@ if (!MAILERSEND_API_TOKEN || !MAILERSEND_SENDER_EMAIL) {
     console.warn(mailerSendInitializationError);
 }
 
+// --- Mail Transport ---
+
+// Sends email through the MailerSend HTTP API
+const createMailerSendTransport = ({ apiToken, senderEmail, senderName }) => ({
+    name: 'mailersend',
+    send: async ({ to, subject, html, text }) => {
+        const response = await fetch('https://api.mailersend.com/v1/email', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiToken}` },
+            body: JSON.stringify({ from: { email: senderEmail, name: senderName }, to: [{ email: to }], subject, html, text })
+        });
+        if (!response.ok) {
+            throw new Error(`MailerSend request failed with status ${response.status}: ${await response.text()}`);
+        }
+    }
+});
+
+// Development transport: writes each message as a JSON file to `directory`, or prints it when no directory is given
+const createLocalMailTransport = ({ directory } = {}) => ({
+    name: directory ? 'file' : 'console',
+    send: async (message) => {
+        if (!directory) {
+            console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+            return;
+        }
+        await fs.promises.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        console.log(`[mail] Message to ${message.to} written to ${file}`);
+    }
+});
+
+let mailTransport;
+const mailTransportName = process.env.MAIL_TRANSPORT || (mailerSendInitializationError ? 'console' : 'mailersend');
+if (mailTransportName === 'mailersend' && !mailerSendInitializationError) {
+    mailTransport = createMailerSendTransport({
+        apiToken: MAILERSEND_API_TOKEN,
+        senderEmail: MAILERSEND_SENDER_EMAIL,
+        senderName: process.env.MAILERSEND_SENDER_NAME || 'Tomato AI'
+    });
+} else if (mailTransportName === 'file') {
+    mailTransport = createLocalMailTransport({ directory: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'tomato-ai-mail') });
+} else {
+    mailTransport = createLocalMailTransport();
+    if (mailTransportName !== 'console') {
+        console.warn(`Mail transport "${mailTransportName}" is unavailable, emails will be printed to the console instead.`);
+    }
+}
+console.log(`Mail transport: ${mailTransport.name}`);
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'https://tomatoai.net').replace(/\/$/, '');
+
+// --- Asset Storage ---
+
+// Stores generated assets on the local disk under `directory`. Every storage driver exposes the same
+// interface, so object storage (S3, GCS...) can be added by registering another factory in `storageDrivers`:
+//   put(key, data, { mimeType }) => Promise<void>
+//   get(key) => Promise<stream.Readable>
+//   delete(key) => Promise<void>
+const createLocalStorageDriver = ({ directory }) => {
+    const root = path.resolve(directory);
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+    return {
+        name: 'local',
+        put: async (key, data) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        },
+        get: async (key) => {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+        delete: async (key) => {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+const storageDrivers = {
+    local: () => createLocalStorageDriver({ directory: process.env.STORAGE_DIR || path.join(__dirname, 'storage') }),
+};
+
+let storage = null;
+let storageInitializationError = null;
+const storageDriverName = process.env.STORAGE_DRIVER || 'local';
+if (storageDrivers[storageDriverName]) {
+    storage = storageDrivers[storageDriverName]();
+    console.log(`Asset storage driver: ${storage.name}`);
+} else {
+    storageInitializationError = `Unknown STORAGE_DRIVER "${storageDriverName}". Generated images and audio cannot be stored.`;
+    console.error(storageInitializationError);
+}
+
 // --- Middleware ---
 
-app.use(cors());
+// Behind a load balancer or reverse proxy, TRUST_PROXY (e.g. "1" for one hop) makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+app.use(cors({ exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
 
 app.use((req, res, next) => {
   if (req.originalUrl === '/stripe-webhook') {
@@ -89,17 +209,20 @@ app.use((req, res, next) => {
 
 const defaultSettings = {
     costs: { 
-        imageEdit: 2, 
-        imageCreate: 5, 
-        textToSpeech: 1, 
         dailyRewardPoints: 10, 
         referralBonus: 50,
-        imageEdit_noWatermark: 8,
-        imageCreate_noWatermark: 15,
-        contentRewrite: 1,
-        tweetGenerator: 1,
         newUserPoints: 25,
     },
+    // Points charged for each AI tool; the rule format is described on priceAiRequest
+    pricing: {
+        tools: {
+            'image-generate': { unit: 'image', price: 5, addOns: { removeWatermark: 10 } },
+            'image-edit': { unit: 'request', price: 2, addOns: { removeWatermark: 6 } },
+            'text-to-speech': { unit: 'character', unitSize: 100, price: 1 },
+            'rewrite': { unit: 'request', price: 1 },
+            'generate-tweets': { unit: 'request', price: 1 }
+        }
+    },
     theme: { 
         logoUrl: "https://i.ibb.co/mH2WvTz/tomato-logo.png", 
         logoWidth: 150, 
@@ -124,30 +247,30 @@ const defaultSettings = {
             title_ar: "خدماتنا الإبداعية",
             title_en: "Our Creative Services",
             items: [
-                { icon: "🎨", title_ar: "مولد الصور", title_en: "Image Generator", text_ar: "أنشئ صورًا فريدة من نوعها من خلال وصف نصي بسيط.", text_en: "Create unique images from simple text descriptions." },
-                { icon: "✂️", title_ar: "محرر الصور", title_en: "Image Editor", text_ar: "قم بإجراء تعديلات معقدة على صورك باستخدام أوامر بسيطة.", text_en: "Make complex edits to your photos using simple commands." },
-                { icon: "🎙️", title_ar: "تحويل النص إلى صوت", title_en: "Text to Speech", text_ar: "أنتج تعليقات صوتية عالية الجودة بلهجات عربية متنوعة.", text_en: "Produce high-quality voiceovers in various Arabic dialects." },
-                { icon: "✍️", title_ar: "إعادة صياغة المحتوى", title_en: "Content Rewriter", text_ar: "قم بتبسيط، تلخيص، أو إضفاء طابع احترافي على نصوصك.", text_en: "Simplify, summarize, or professionalize your texts." }
+                { id: 1, icon: "🎨", title_ar: "مولد الصور", title_en: "Image Generator", text_ar: "أنشئ صورًا فريدة من نوعها من خلال وصف نصي بسيط.", text_en: "Create unique images from simple text descriptions." },
+                { id: 2, icon: "✂️", title_ar: "محرر الصور", title_en: "Image Editor", text_ar: "قم بإجراء تعديلات معقدة على صورك باستخدام أوامر بسيطة.", text_en: "Make complex edits to your photos using simple commands." },
+                { id: 3, icon: "🎙️", title_ar: "تحويل النص إلى صوت", title_en: "Text to Speech", text_ar: "أنتج تعليقات صوتية عالية الجودة بلهجات عربية متنوعة.", text_en: "Produce high-quality voiceovers in various Arabic dialects." },
+                { id: 4, icon: "✍️", title_ar: "إعادة صياغة المحتوى", title_en: "Content Rewriter", text_ar: "قم بتبسيط، تلخيص، أو إضفاء طابع احترافي على نصوصك.", text_en: "Simplify, summarize, or professionalize your texts." }
             ]
         },
         benefits: {
             title_ar: "لماذا تختار Tomato AI؟",
             title_en: "Why Choose Tomato AI?",
             items: [
-                { icon: "⚡️", title_ar: "نتائج فورية", title_en: "Instant Results", text_ar: "احصل على صور ومحتوى وصوت عالي الجودة في ثوانٍ.", text_en: "Get high-quality images, content, and audio in seconds." },
-                { icon: "💡", title_ar: "سهولة الاستخدام", title_en: "Easy to Use", text_ar: "واجهة بسيطة وبديهية مصممة للجميع، لا تتطلب خبرة فنية.", text_en: "A simple and intuitive interface designed for everyone, no technical expertise required." },
-                { icon: "💰", title_ar: "نظام نقاط مرن", title_en: "Flexible Points System", text_ar: "استخدم النقاط للوصول إلى الميزات المتقدمة أو اكسبها مجانًا.", text_en: "Use points to access premium features or earn them for free." },
-                { icon: "🌍", title_ar: "دعم اللغة العربية", title_en: "Arabic Language Support", text_ar: "تجربة كاملة مصممة للمستخدمين العرب، من الواجهة إلى النتائج.", text_en: "A complete experience designed for Arab users, from the interface to the results." }
+                { id: 1, icon: "⚡️", title_ar: "نتائج فورية", title_en: "Instant Results", text_ar: "احصل على صور ومحتوى وصوت عالي الجودة في ثوانٍ.", text_en: "Get high-quality images, content, and audio in seconds." },
+                { id: 2, icon: "💡", title_ar: "سهولة الاستخدام", title_en: "Easy to Use", text_ar: "واجهة بسيطة وبديهية مصممة للجميع، لا تتطلب خبرة فنية.", text_en: "A simple and intuitive interface designed for everyone, no technical expertise required." },
+                { id: 3, icon: "💰", title_ar: "نظام نقاط مرن", title_en: "Flexible Points System", text_ar: "استخدم النقاط للوصول إلى الميزات المتقدمة أو اكسبها مجانًا.", text_en: "Use points to access premium features or earn them for free." },
+                { id: 4, icon: "🌍", title_ar: "دعم اللغة العربية", title_en: "Arabic Language Support", text_ar: "تجربة كاملة مصممة للمستخدمين العرب، من الواجهة إلى النتائج.", text_en: "A complete experience designed for Arab users, from the interface to the results." }
             ]
         },
         useCases: {
             title_ar: "مثالي لـ...",
             title_en: "Perfect For...",
             items: [
-                { icon: "📈", title_ar: "المسوقين", title_en: "Marketers", text_ar: "أنشئ محتوى إعلاني جذاب وصورًا فريدة لحملاتك.", text_en: "Create engaging ad content and unique images for your campaigns." },
-                { icon: "✍️", title_ar: "صناع المحتوى", title_en: "Content Creators", text_ar: "أعد صياغة المقالات، ولّد أفكارًا، وأضف تعليقات صوتية احترافية.", text_en: "Rewrite articles, generate ideas, and add professional voiceovers." },
-                { icon: "🎨", title_ar: "المصممين", title_en: "Designers", text_ar: "احصل على الإلهام وأنشئ مفاهيم بصرية بسرعة مذهلة.", text_en: "Get inspiration and create visual concepts with incredible speed." },
-                { icon: "🎓", title_ar: "الطلاب والباحثين", title_en: "Students & Researchers", text_ar: "لخص النصوص الطويلة وأعد صياغة الفقرات لتجنب الانتحال.", text_en: "Summarize long texts and rephrase paragraphs to avoid plagiarism." }
+                { id: 1, icon: "📈", title_ar: "المسوقين", title_en: "Marketers", text_ar: "أنشئ محتوى إعلاني جذاب وصورًا فريدة لحملاتك.", text_en: "Create engaging ad content and unique images for your campaigns." },
+                { id: 2, icon: "✍️", title_ar: "صناع المحتوى", title_en: "Content Creators", text_ar: "أعد صياغة المقالات، ولّد أفكارًا، وأضف تعليقات صوتية احترافية.", text_en: "Rewrite articles, generate ideas, and add professional voiceovers." },
+                { id: 3, icon: "🎨", title_ar: "المصممين", title_en: "Designers", text_ar: "احصل على الإلهام وأنشئ مفاهيم بصرية بسرعة مذهلة.", text_en: "Get inspiration and create visual concepts with incredible speed." },
+                { id: 4, icon: "🎓", title_ar: "الطلاب والباحثين", title_en: "Students & Researchers", text_ar: "لخص النصوص الطويلة وأعد صياغة الفقرات لتجنب الانتحال.", text_en: "Summarize long texts and rephrase paragraphs to avoid plagiarism." }
             ]
         },
         testimonials: {
@@ -193,6 +316,8 @@ const defaultSettings = {
             { id: 3, points: 600, price: 20, stripePriceId: 'price_1PMEqlRxX3xWz2gL9c1c8D1J' },
             { id: 4, points: 2000, price: 50, stripePriceId: 'price_1PMErFRxX3xWz2gLo2H2O3p4' }
         ],
+        // Plans: { id, name_ar, name_en, price, stripePriceId (a recurring price), monthlyPoints, rolloverCap? }.
+        // Without rolloverCap unused allowance carries over in full; with it, at most that many points do.
         subscriptions: []
     },
     announcement: {
@@ -203,6 +328,55 @@ const defaultSettings = {
         textColor: "#000000",
         fontSize: 16
     },
+    ai: {
+        tools: {
+            'image-generate': { provider: 'gemini', model: 'imagen-4.0-generate-001' },
+            'image-edit': { provider: 'gemini', model: 'gemini-2.5-flash-image' },
+            'text-to-speech': { provider: 'gemini', model: 'gemini-2.5-flash-preview-tts' },
+            'rewrite': { provider: 'gemini', model: 'gemini-2.5-flash' },
+            'generate-tweets': { provider: 'gemini', model: 'gemini-2.5-flash' }
+        }
+    },
+    jobs: {
+        concurrency: { image: 2, speech: 2, text: 4 }
+    },
+    // Daily reward: `escalation` lists the points for each consecutive day (later days pay the last entry),
+    // `milestones` add a bonus on reaching a streak length, and up to `graceDays` missed days keep the streak.
+    dailyRewards: {
+        escalation: [10, 10, 15, 15, 20, 20, 25],
+        milestones: [{ day: 7, bonus: 50 }, { day: 30, bonus: 200 }],
+        graceDays: 1
+    },
+    // Requests allowed per window; keyBy 'ip' or 'user' (authenticated routes)
+    rateLimits: {
+        login: { windowSeconds: 15 * 60, max: 10, keyBy: 'ip' },
+        register: { windowSeconds: 60 * 60, max: 5, keyBy: 'ip' },
+        passwordReset: { windowSeconds: 60 * 60, max: 5, keyBy: 'ip' },
+        redeem: { windowSeconds: 60 * 60, max: 10, keyBy: 'user' },
+        ai: { windowSeconds: 60, max: 20, keyBy: 'user' },
+        pageView: { windowSeconds: 60, max: 60, keyBy: 'ip' }
+    },
+    referrals: {
+        maxRewardsPerReferrer: 50,
+        // Any of: 'email_verified', 'purchase', 'ai_use'
+        qualifyOn: ['email_verified', 'purchase', 'ai_use']
+    },
+    security: {
+        passwordPolicy: {
+            minLength: 8,
+            requireLetter: true,
+            requireNumber: true,
+            requireSymbol: false
+        },
+        // After `maxAttempts` consecutive failures an account is locked for `baseLockSeconds`,
+        // doubling with every further failure up to `maxLockSeconds`
+        lockout: {
+            maxAttempts: 5,
+            baseLockSeconds: 60,
+            maxLockSeconds: 60 * 60
+        },
+        requireAdminTwoFactor: true
+    },
     maintenance: {
         enabled: false,
         message_en: "We are currently performing scheduled maintenance. We should be back online shortly. Thank you for your patience.",
@@ -219,58 +393,44 @@ const initializeDatabase = async () => {
     let client;
     try {
         client = await pool.connect();
-        
-        console.log("Ensuring database schema exists...");
 
-        // Create tables with "IF NOT EXISTS" to ensure data persistence
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS settings (
-                key VARCHAR(255) PRIMARY KEY,
-                value JSONB
-            );
-        `);
+        // Seeding runs under the migration lock too, so instances starting together do not both seed
+        await withMigrationLock(client, async () => {
+            const applied = await migrateUp(client);
+            console.log(applied.length ? `Applied migrations: ${applied.map(m => m.version).join(', ')}.` : 'Database schema is up to date.');
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                email VARCHAR(100) UNIQUE NOT NULL,
-                password_hash VARCHAR(255) NOT NULL,
-                points INTEGER DEFAULT 10,
-                country VARCHAR(5),
-                is_admin BOOLEAN DEFAULT FALSE,
-                status VARCHAR(20) DEFAULT 'active',
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP WITH TIME ZONE,
-                referral_code VARCHAR(20) UNIQUE,
-                referrer_id INTEGER,
-                last_daily_claim TIMESTAMP WITH TIME ZONE,
-                referrals INTEGER DEFAULT 0
-            );
-        `);
-        
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS history (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                type VARCHAR(50),
-                prompt TEXT,
-                result_url TEXT,
-                cost INTEGER,
-                date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        
-        // --- Insert Default Settings if they don't exist ---
-        console.log('Checking for default settings...');
-        const settingsCheck = await client.query("SELECT key FROM settings WHERE key = 'app_settings'");
-        if (settingsCheck.rows.length === 0) {
-            console.log('No settings found, inserting defaults...');
-            await client.query("INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING", ['app_settings', JSON.stringify(defaultSettings)]);
-            console.log('Default settings inserted.');
-        } else {
-            console.log('Settings already exist.');
-        }
+            // --- Insert Default Settings if they don't exist ---
+            console.log('Checking for default settings...');
+            const settingsCheck = await client.query("SELECT value FROM settings WHERE key = 'app_settings'");
+            if (settingsCheck.rows.length === 0) {
+                console.log('No settings found, inserting defaults...');
+                await client.query("INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING", ['app_settings', JSON.stringify(defaultSettings)]);
+                console.log('Default settings inserted.');
+            } else {
+                console.log('Settings already exist.');
+                let storedSettings = settingsCheck.rows[0].value;
+                if (!storedSettings.pricing) {
+                    // Settings saved before pricing rules existed: derive the rules from the flat AI costs
+                    const { pricing, costs } = pricingFromLegacyCosts(storedSettings.costs || {});
+                    storedSettings = { ...storedSettings, costs, pricing };
+                    await client.query("UPDATE settings SET value = $1 WHERE key = 'app_settings'", [storedSettings]);
+                    console.log('AI costs migrated to pricing rules.');
+                }
+                const contentWithIds = assignContentItemIds(storedSettings.content);
+                if (contentWithIds) {
+                    await client.query("UPDATE settings SET value = $1 WHERE key = 'app_settings'", [{ ...storedSettings, content: contentWithIds }]);
+                    console.log('Content items given stable ids.');
+                }
+            }
+
+            // The settings in place before revisions were kept become revision 1
+            const revisionCheck = await client.query('SELECT id FROM settings_revisions LIMIT 1');
+            if (revisionCheck.rows.length === 0) {
+                await client.query(
+                    "INSERT INTO settings_revisions (value, action) SELECT value, 'initial' FROM settings WHERE key = 'app_settings'"
+                );
+            }
+        });
 
         console.log('Database schema initialization complete.');
     } catch (err) {
@@ -284,9 +444,156 @@ const initializeDatabase = async () => {
 
 
 // --- Helper Functions ---
-const createToken = (userId) => {
-    // This is a placeholder for a real JWT implementation
-    return `token-for-user-${userId}-${Date.now()}`;
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signs a compact HS256 JWT with the server's JWT secret
+const signJwt = (payload) => {
+    const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64UrlEncode(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha256', jwtSecret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+};
+
+// Returns the claims of an HS256 JWT, or null if its signature or expiry is invalid
+const verifyJwt = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+    const [header, body, signature] = parts;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', jwtSecret).update(`${header}.${body}`).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        if (alg !== 'HS256') return null;
+        const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+        return claims;
+    } catch (e) {
+        return null;
+    }
+};
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createAccessToken = (userId, sessionId) => {
+    const now = Math.floor(Date.now() / 1000);
+    return signJwt({ sub: userId, sid: sessionId, typ: 'access', iat: now, exp: now + ACCESS_TOKEN_TTL_SECONDS });
+};
+
+// Opens a login session and issues its tokens; the refresh token is only stored as a hash so a leaked table cannot be replayed
+const createSession = async (client, userId, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const sessionRes = await client.query(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [userId, hashToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 255), req.ip, refreshTokenExpiry()]
+    );
+    const sessionId = sessionRes.rows[0].id;
+    return { token: createAccessToken(userId, sessionId), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+// Password hashes are stored as `scrypt$<N>$<r>$<p>$<salt>$<hash>` so parameters can be raised later.
+const PASSWORD_HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const scryptAsync = util.promisify(crypto.scrypt);
+
+// Hashes a password with scrypt and a random salt; the result records the algorithm and parameters
+const hashPassword = async (password) => {
+    const { N, r, p, keyLength } = PASSWORD_HASH_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const derived = await scryptAsync(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+};
+
+// Checks a password against a stored hash. Legacy unsalted SHA-256 digests are still accepted but,
+// like hashes with outdated parameters, are reported as needing a rehash
+const verifyPassword = async (password, storedHash) => {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!storedHash.startsWith('scrypt$')) {
+        const legacy = Buffer.from(crypto.createHash('sha256').update(password).digest('hex'));
+        const stored = Buffer.from(storedHash);
+        const valid = legacy.length === stored.length && crypto.timingSafeEqual(legacy, stored);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, hash] = storedHash.split('$');
+    const params = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, { ...params, maxmem: 256 * params.N * params.r });
+    const valid = crypto.timingSafeEqual(derived, expected);
+    const { N: currentN, r: currentR, p: currentP, keyLength } = PASSWORD_HASH_PARAMS;
+    const outdated = params.N !== currentN || params.r !== currentR || params.p !== currentP || expected.length !== keyLength;
+    return { valid, needsRehash: valid && outdated };
+};
+
+// Returns the password policy rule a new password breaks, or null if it is acceptable
+const checkPasswordPolicy = (password, settings) => {
+    const policy = settings.security?.passwordPolicy || defaultSettings.security.passwordPolicy;
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        return `Password must be at least ${policy.minLength} characters long.`;
+    }
+    if (policy.requireLetter && !/\p{L}/u.test(password)) {
+        return 'Password must contain at least one letter.';
+    }
+    if (policy.requireNumber && !/\p{N}/u.test(password)) {
+        return 'Password must contain at least one number.';
+    }
+    if (policy.requireSymbol && !/[^\p{L}\p{N}]/u.test(password)) {
+        return 'Password must contain at least one symbol.';
+    }
+    return null;
+};
+
+const EMAIL_TOKEN_TTL_MINUTES = { verify_email: 24 * 60, reset_password: 60 };
+
+// Creates a single-use token for an emailed link; earlier unused tokens of the same purpose stop working
+const createEmailToken = async (client, userId, purpose, email) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await client.query('UPDATE email_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [userId, purpose]);
+    await client.query(
+        'INSERT INTO email_tokens (user_id, purpose, token_hash, email, expires_at) VALUES ($1, $2, $3, $4, $5)',
+        [userId, purpose, hashToken(token), email, new Date(Date.now() + EMAIL_TOKEN_TTL_MINUTES[purpose] * 60 * 1000)]
+    );
+    return token;
+};
+
+// Marks an email token as used if it is valid, unused and unexpired, and returns its owner and address
+const consumeEmailToken = async (client, token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await client.query(
+        `UPDATE email_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id, email`,
+        [hashToken(token), purpose]
+    );
+    return result.rows[0] || null;
+};
+
+const emailTemplates = {
+    verify_email: (link) => ({
+        subject: 'Verify your email address | تأكيد بريدك الإلكتروني',
+        text: `Confirm your email address for Tomato AI by opening this link within 24 hours:\n${link}\n\nأكّد بريدك الإلكتروني في Tomato AI بفتح الرابط أعلاه خلال 24 ساعة.`,
+        html: `<p>Confirm your email address for Tomato AI by opening the link below within 24 hours.</p><p dir="rtl">أكّد بريدك الإلكتروني في Tomato AI بفتح الرابط أدناه خلال 24 ساعة.</p><p><a href="${link}">${link}</a></p>`
+    }),
+    reset_password: (link) => ({
+        subject: 'Reset your password | إعادة تعيين كلمة المرور',
+        text: `Someone requested a password reset for your Tomato AI account. Open this link within 1 hour to choose a new password:\n${link}\n\nIf you did not request this, you can ignore this email.\n\nلإعادة تعيين كلمة المرور افتح الرابط أعلاه خلال ساعة واحدة. إذا لم تطلب ذلك يمكنك تجاهل هذه الرسالة.`,
+        html: `<p>Someone requested a password reset for your Tomato AI account. Open the link below within 1 hour to choose a new password. If you did not request this, you can ignore this email.</p><p dir="rtl">لإعادة تعيين كلمة المرور افتح الرابط أدناه خلال ساعة واحدة. إذا لم تطلب ذلك يمكنك تجاهل هذه الرسالة.</p><p><a href="${link}">${link}</a></p>`
+    })
+};
+
+const sendEmailTokenLink = async (purpose, to, token) => {
+    const route = purpose === 'verify_email' ? 'verify-email' : 'reset-password';
+    const link = `${APP_BASE_URL}/#${route}?token=${encodeURIComponent(token)}`;
+    await mailTransport.send({ to, ...emailTemplates[purpose](link) });
 };
 
 /**
@@ -317,24 +624,26 @@ function isObject(item) {
 }
 
 
-const getUserIdFromToken = async (token) => {
-    // Placeholder for JWT verification
-    if (token && token.startsWith('Bearer ')) {
-        token = token.slice(7, token.length);
-        const parts = token.split('-');
-        const userId = parseInt(parts[3], 10);
+// Resolves a Bearer token to its user and session. The session must still be open and the user active,
+// so logout and bans take effect immediately
+const getAuthFromToken = async (authorization) => {
+    if (!authorization || !authorization.startsWith('Bearer ') || !pool) return null;
 
-        if (!isNaN(userId) && pool) {
-            const client = await pool.connect();
-            try {
-                const res = await client.query('SELECT status FROM users WHERE id = $1', [userId]);
-                if (res.rows.length > 0 && res.rows[0].status === 'active') {
-                    return userId;
-                }
-            } finally {
-                client.release();
-            }
+    const claims = verifyJwt(authorization.slice(7));
+    if (!claims || claims.typ !== 'access') return null;
+
+    const client = await pool.connect();
+    try {
+        const res = await client.query(
+            `SELECT u.status FROM user_sessions s JOIN users u ON u.id = s.user_id
+             WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+            [claims.sid, claims.sub]
+        );
+        if (res.rows.length > 0 && res.rows[0].status === 'active') {
+            return { userId: claims.sub, sessionId: claims.sid };
         }
+    } finally {
+        client.release();
     }
     return null;
 };
@@ -352,565 +661,4682 @@ const getSettings = async (client) => {
     return defaultSettings; // Fallback
 };
 
-const authMiddleware = async (req, res, next) => {
-    const token = req.headers.authorization;
-    if (!token) {
-        return res.status(401).json({ message: 'No token provided' });
-    }
-    const userId = await getUserIdFromToken(token);
-    if (!userId) {
-        return res.status(401).json({ message: 'Invalid token' });
-    }
-    req.userId = userId;
-    next();
+// Applies a points change to a user's balance and records it in the points ledger. Call it inside a
+// transaction: the UPDATE locks the user row, so `balance_after` follows the order of the ledger entries
+const changePoints = async (client, userId, amount, reason, { referenceType = null, referenceId = null, metadata = null } = {}) => {
+    const userRes = await client.query('UPDATE users SET points = points + $1 WHERE id = $2 RETURNING *', [amount, userId]);
+    const user = userRes.rows[0];
+    await client.query(
+        `INSERT INTO points_transactions (user_id, amount, balance_after, reason, reference_type, reference_id, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, amount, user.points, reason, referenceType, referenceId === null ? null : String(referenceId), metadata]
+    );
+    return user;
 };
 
-const adminMiddleware = async (req, res, next) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+// Reads a page of a user's ledger, newest first. `before` is the id of the last entry of the previous page
+const listPointsTransactions = async (client, userId, { limit, before }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const cursor = parseInt(before, 10);
+    const result = await client.query(
+        `SELECT id, amount, balance_after, reason, reference_type, reference_id, metadata, created_at
+         FROM points_transactions WHERE user_id = $1 AND ($2::int IS NULL OR id < $2)
+         ORDER BY id DESC LIMIT $3`,
+        [userId, isNaN(cursor) ? null : cursor, pageSize]
+    );
+    const transactions = result.rows;
+    return { transactions, nextCursor: transactions.length === pageSize ? transactions[transactions.length - 1].id : null };
+};
+
+// Inserts an entry into the operation history and returns its id
+const recordHistory = async (client, userId, { type, provider = null, model = null, style = null, prompt = null, assetId = null, resultText = null, cost = 0, status = 'succeeded', durationMs = null, errorMessage = null }) => {
+    const result = await client.query(
+        `INSERT INTO history (user_id, type, provider, model, style, prompt, asset_id, result_text, cost, status, duration_ms, error_message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+        [userId, type, provider, model, style, prompt, assetId, resultText, cost, status, durationMs, errorMessage ? String(errorMessage).slice(0, 500) : null]
+    );
+    return result.rows[0].id;
+};
+
+// The user-supplied text of an AI request, as shown in the history
+const getPromptText = (request) => request.prompt || request.text || request.idea || null;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// A SERIAL id from the URL, or null when it is not one (Postgres rejects text and values past INTEGER)
+const parseIdParam = (value) => (/^[1-9]\d{0,9}$/.test(value) && Number(value) <= 2147483647 ? Number(value) : null);
+const ASSET_URL_TTL_SECONDS = parseInt(process.env.ASSET_URL_TTL_SECONDS, 10) || 60 * 60;
+
+const getPublicBaseUrl = (req) => (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const signAsset = (assetId, expires) => crypto.createHmac('sha256', jwtSecret).update(`asset:${assetId}:${expires}`).digest('base64url');
+
+// Builds a time-limited asset URL that works without an Authorization header (e.g. in an <img> tag)
+const buildAssetUrl = (req, assetId) => {
+    const expires = Math.floor(Date.now() / 1000) + ASSET_URL_TTL_SECONDS;
+    const base = getPublicBaseUrl(req);
+    return {
+        url: `${base}/api/assets/${assetId}?expires=${expires}&signature=${signAsset(assetId, expires)}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+};
+
+// Checks the `expires` and `signature` of a signed URL against `sign(id, expires)`
+const verifyUrlSignature = (sign, id, expires, signature) => {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+    const expected = Buffer.from(sign(id, expiresAt));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const verifyAssetSignature = (assetId, expires, signature) => verifyUrlSignature(signAsset, assetId, expires, signature);
+
+// EventSource cannot send an Authorization header, so job events are opened with a URL signed for that one job
+const JOB_EVENTS_URL_TTL_SECONDS = 15 * 60;
+
+const signJobEvents = (jobId, expires) => crypto.createHmac('sha256', jwtSecret).update(`job-events:${jobId}:${expires}`).digest('base64url');
+
+const buildJobEventsUrl = (req, jobId) => {
+    const expires = Math.floor(Date.now() / 1000) + JOB_EVENTS_URL_TTL_SECONDS;
+    const base = getPublicBaseUrl(req);
+    return {
+        url: `${base}/api/ai/jobs/${jobId}/events?expires=${expires}&signature=${signJobEvents(jobId, expires)}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+};
+
+// Writes generated content to the storage driver and registers it as an asset owned by `userId`
+const saveAsset = async (userId, data, mimeType) => {
+    if (!storage) {
+        throw new Error('Asset storage is not available.');
+    }
+    const id = crypto.randomUUID();
+    const storageKey = `${userId}/${id}`;
+    await storage.put(storageKey, data, { mimeType });
+
     const client = await pool.connect();
     try {
-        const userRes = await client.query('SELECT is_admin FROM users WHERE id = $1', [req.userId]);
-        if (userRes.rows.length === 0 || !userRes.rows[0].is_admin) {
-            return res.status(403).json({ message: 'Admin access required' });
-        }
-        next();
-    } catch (err) {
-        res.status(500).json({ message: 'Error checking admin status' });
+        await client.query(
+            'INSERT INTO assets (id, user_id, storage_key, mime_type, size_bytes) VALUES ($1, $2, $3, $4, $5)',
+            [id, userId, storageKey, mimeType, data.length]
+        );
     } finally {
         client.release();
     }
+    return { id, mimeType, size: data.length };
 };
 
-// --- API Endpoints ---
+// Removes asset rows and their stored files; a missing file is not an error
+const deleteAssets = async (client, assetIds) => {
+    const ids = assetIds.filter(Boolean);
+    if (ids.length === 0) return;
+    const result = await client.query('DELETE FROM assets WHERE id = ANY($1::uuid[]) RETURNING storage_key', [ids]);
+    for (const { storage_key } of result.rows) {
+        await storage.delete(storage_key).catch(error => console.error(`Failed to delete stored asset ${storage_key}:`, error));
+    }
+};
 
-// Registration
-app.post('/api/register', async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable for registration" });
+// Gemini TTS returns raw 16-bit mono PCM ("audio/L16;rate=24000"); wrap it in a WAV header so it plays as-is
+const pcmToWav = (pcm, mimeType) => {
+    const sampleRate = parseInt((/rate=(\d+)/.exec(mimeType || '') || [])[1], 10) || 24000;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+};
 
-    const { username, email, password, country, referralCode } = req.body;
-    
-    if (!username || !email || !password) {
-        return res.status(400).json({ message: 'Username, email, and password are required.' });
-    }
-    
+const POINTS_HOLD_TIMEOUT_MINUTES = parseInt(process.env.POINTS_HOLD_TIMEOUT_MINUTES, 10) || 10;
+
+// Reserves points for an operation in its own short transaction, so no connection or row lock is held
+// while the operation runs. Held points are excluded from the available balance until the hold is
+// settled or released. Returns null if the available balance is too low.
+const reservePoints = async (userId, amount, metadata) => {
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
-
-        const settings = await getSettings(client);
-
-        // Check if email or username exists
-        const emailExists = await client.query('SELECT id FROM users WHERE email = $1', [email]);
-        if (emailExists.rows.length > 0) {
-            return res.status(409).json({ message: 'Email already exists.' });
-        }
-        const usernameExists = await client.query('SELECT id FROM users WHERE username = $1', [username]);
-        if (usernameExists.rows.length > 0) {
-            return res.status(409).json({ message: 'Username already exists.' });
-        }
-        
-        let initialPoints = settings.costs.newUserPoints || 10;
-        let referrerId = null;
-
-        // Handle referral logic
-        if (referralCode) {
-            const referrerResult = await client.query('SELECT id, points, referrals FROM users WHERE referral_code = $1', [referralCode]);
-            if (referrerResult.rows.length > 0) {
-                const referrer = referrerResult.rows[0];
-                referrerId = referrer.id;
-                const referralBonus = settings.costs.referralBonus || 50;
-                
-                await client.query('UPDATE users SET points = points + $1, referrals = COALESCE(referrals, 0) + 1 WHERE id = $2', [referralBonus, referrerId]);
-
-                initialPoints += referralBonus;
-            }
-        }
-
-
-        const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
-        const newReferralCode = crypto.randomBytes(8).toString('hex');
-        
-        // Determine if this user should be an admin (first registered user)
-        const userCountResult = await client.query('SELECT COUNT(*) FROM users');
-        const isAdmin = parseInt(userCountResult.rows[0].count, 10) === 0;
-        
-        if(isAdmin) {
-             initialPoints = 10000; // Give admin a lot of points
+        const userRes = await client.query(
+            'UPDATE users SET held_points = held_points + $1 WHERE id = $2 AND points - held_points >= $1 RETURNING id',
+            [amount, userId]
+        );
+        if (userRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
         }
-        
-        // Insert new user
-        const insertUserQuery = 'INSERT INTO users (username, email, password_hash, country, is_admin, points, referral_code, referrer_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *';
-        const insertUserValues = [username, email, hashedPassword, country, isAdmin, initialPoints, newReferralCode, referrerId];
-        const newUserResult = await client.query(insertUserQuery, insertUserValues);
-        const newUser = newUserResult.rows[0];
-
+        const holdRes = await client.query(
+            'INSERT INTO points_holds (user_id, amount, metadata, expires_at) VALUES ($1, $2, $3, $4) RETURNING *',
+            [userId, amount, metadata, new Date(Date.now() + POINTS_HOLD_TIMEOUT_MINUTES * 60 * 1000)]
+        );
         await client.query('COMMIT');
-        
-        delete newUser.password_hash;
-        const token = createToken(newUser.id);
-        res.status(201).json({ user: newUser, token });
-        
+        return holdRes.rows[0];
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error('Registration error:', error);
-        // Send detailed error for diagnostics
-        res.status(500).json({ message: 'An internal server error occurred during registration', error: error.message });
+        throw error;
     } finally {
         client.release();
     }
-});
-
-// Login
-app.post('/api/login', async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
-
-    const { identifier, password } = req.body; // identifier can be email or username
-    const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
+};
 
+// Closes an active hold. Settling debits the held amount through the ledger; releasing (or expiring)
+// returns it to the available balance without touching the ledger. With `historyEntry`, the operation
+// is recorded in the same transaction with the amount actually charged. Returns null if the hold was
+// no longer active.
+const closePointsHold = async (holdId, status, historyEntry = null) => {
     const client = await pool.connect();
     try {
-        const query = 'SELECT * FROM users WHERE (email = $1 OR username = $1) AND status = \'active\'';
-        const result = await client.query(query, [identifier]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Account not found.' });
+        await client.query('BEGIN');
+        const holdRes = await client.query(
+            "UPDATE points_holds SET status = $1, closed_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = 'held' RETURNING *",
+            [status, holdId]
+        );
+        if (holdRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
         }
+        const hold = holdRes.rows[0];
+        const charged = status === 'settled' ? hold.amount : 0;
+        const userRes = await client.query('UPDATE users SET held_points = held_points - $1 WHERE id = $2 RETURNING *', [hold.amount, hold.user_id]);
+        let user = userRes.rows[0];
 
-        const user = result.rows[0];
-        if (user.password_hash !== hashedPassword) {
-            return res.status(401).json({ message: 'Incorrect password.' });
+        let historyId = null;
+        if (historyEntry) {
+            historyId = await recordHistory(client, hold.user_id, {
+                ...historyEntry,
+                cost: charged,
+                status: status === 'settled' ? 'succeeded' : 'failed'
+            });
         }
-        
-        // Update last login timestamp
-        await client.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
-
-        delete user.password_hash;
-        const token = createToken(user.id);
-        res.json({ user, token });
-
+        if (charged > 0) {
+            const reference = historyId
+                ? { referenceType: 'history', referenceId: historyId, metadata: hold.metadata }
+                : { referenceType: 'points_hold', referenceId: hold.id, metadata: hold.metadata };
+            user = await changePoints(client, hold.user_id, -charged, 'ai_usage', reference);
+        }
+        await client.query('COMMIT');
+        return { user, historyId };
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'An internal server error occurred' });
+        await client.query('ROLLBACK');
+        throw error;
     } finally {
         client.release();
     }
-});
+};
 
-// Get current user
-app.get('/api/users/me', authMiddleware, async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+const settlePointsHold = (holdId, historyEntry) => closePointsHold(holdId, 'settled', historyEntry);
+const releasePointsHold = (holdId, historyEntry) => closePointsHold(holdId, 'released', historyEntry);
+
+// Settles a hold that expired while its operation was still running (a model call can outlast
+// POINTS_HOLD_TIMEOUT_MINUTES). The points went back to the balance and may have been spent since,
+// so at most the available balance is charged. Returns null unless the hold had expired.
+const settleExpiredPointsHold = async (holdId, historyEntry) => {
     const client = await pool.connect();
     try {
-        const result = await client.query('SELECT id, username, email, points, country, is_admin, last_daily_claim, referral_code, referrals FROM users WHERE id = $1', [req.userId]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'User not found' });
+        await client.query('BEGIN');
+        const holdRes = await client.query(
+            "UPDATE points_holds SET status = 'settled', closed_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'expired' RETURNING *",
+            [holdId]
+        );
+        if (holdRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
         }
-        res.json({ user: result.rows[0] });
+        const hold = holdRes.rows[0];
+        const userRes = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [hold.user_id]);
+        let user = userRes.rows[0];
+        const charged = Math.min(hold.amount, Math.max(user.points - user.held_points, 0));
+        const historyId = await recordHistory(client, hold.user_id, { ...historyEntry, cost: charged, status: 'succeeded' });
+        if (charged > 0) {
+            user = await changePoints(client, hold.user_id, -charged, 'ai_usage', { referenceType: 'history', referenceId: historyId, metadata: hold.metadata });
+        }
+        await client.query('COMMIT');
+        return { user, historyId };
     } catch (error) {
-        console.error('Get user error:', error);
-        res.status(500).json({ message: 'An internal server error occurred' });
+        await client.query('ROLLBACK');
+        throw error;
     } finally {
         client.release();
     }
-});
+};
 
-// Update current user profile
-app.put('/api/users/me', authMiddleware, async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
-    const { email, password } = req.body;
-    
-    let query, values;
-    if (password) {
-        const hashedPassword = crypto.createHash('sha256').update(password).digest('hex');
-        query = 'UPDATE users SET email = $1, password_hash = $2 WHERE id = $3 RETURNING id, username, email, points, country, is_admin';
-        values = [email, hashedPassword, req.userId];
-    } else {
-        query = 'UPDATE users SET email = $1 WHERE id = $2 RETURNING id, username, email, points, country, is_admin';
-        values = [email, req.userId];
-    }
-    
+// Holds left behind by crashed requests would otherwise keep points unavailable forever
+const sweepExpiredPointsHolds = async () => {
+    if (!pool) return;
     const client = await pool.connect();
+    let expired;
     try {
-        const result = await client.query(query, values);
-        res.json({ user: result.rows[0] });
-    } catch (error) {
-        console.error('Update user error:', error);
-        if (error.code === '23505') { // Unique constraint violation
-             return res.status(409).json({ message: 'Email is already in use by another account.' });
-        }
-        res.status(500).json({ message: 'An internal server error occurred' });
+        // Holds of queued or running jobs are resolved by the job itself or by job recovery
+        expired = await client.query(
+            `SELECT id FROM points_holds WHERE status = 'held' AND expires_at < CURRENT_TIMESTAMP
+             AND id NOT IN (SELECT hold_id FROM ai_jobs WHERE status IN ('queued', 'running') AND hold_id IS NOT NULL)`
+        );
     } finally {
         client.release();
     }
-});
-
+    for (const { id } of expired.rows) {
+        await closePointsHold(id, 'expired');
+    }
+    if (expired.rows.length > 0) {
+        console.log(`Released ${expired.rows.length} expired points hold(s).`);
+    }
+};
+
+// Records a paid checkout session and credits its points, once, whichever event reports it first
+const recordCheckoutPayment = async (client, session) => {
+    if (session.payment_status !== 'paid' || !session.metadata?.userId || !session.metadata?.points) {
+        return;
+    }
+    const userId = parseInt(session.metadata.userId, 10);
+    const points = parseInt(session.metadata.points, 10);
+    const paymentRes = await client.query(
+        `INSERT INTO payments (user_id, checkout_session_id, payment_intent_id, package_id, points, amount_total, currency)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (checkout_session_id) DO NOTHING RETURNING id`,
+        [userId, session.id, session.payment_intent || null, session.metadata.packageId || null, points, session.amount_total || 0, session.currency || 'usd']
+    );
+    if (paymentRes.rows.length === 0) return;
+
+    await changePoints(client, userId, points, 'purchase', {
+        referenceType: 'payment',
+        referenceId: paymentRes.rows[0].id,
+        metadata: { checkoutSessionId: session.id, packageId: session.metadata.packageId }
+    });
+    await recordCheckoutPromoRedemption(client, session, userId);
+    await qualifyReferral(client, userId, 'purchase');
+    console.log(`User ${userId} was credited ${points} points.`);
+};
+
+// Completes the discount code reservation of a paid checkout. Sessions created before codes were
+// reserved have none, so their use is counted now if the code still exists.
+const recordCheckoutPromoRedemption = async (client, session, userId) => {
+    const codeId = parseInt(session.metadata?.promoCodeId, 10);
+    if (!codeId) return;
+    // The reservation is found by its id as well, in case the session id was never attached to it
+    const reservedRes = await client.query(
+        `UPDATE promo_redemptions SET status = 'completed', checkout_session_id = $1, discount_amount = $2, currency = $3
+         WHERE checkout_session_id = $1 OR (id = $4 AND status = 'pending') RETURNING id`,
+        [session.id, session.total_details?.amount_discount || 0, session.currency, parseInt(session.metadata.promoRedemptionId, 10) || null]
+    );
+    if (reservedRes.rows.length > 0) return;
+    const promoRes = await client.query('SELECT id FROM promo_codes WHERE id = $1', [codeId]);
+    if (promoRes.rows.length === 0) {
+        console.warn(`Promo code ${codeId} used by checkout session ${session.id} no longer exists.`);
+        return;
+    }
+    await recordPromoRedemption(client, codeId, userId, {
+        checkoutSessionId: session.id, discountAmount: session.total_details?.amount_discount || 0, currency: session.currency
+    });
+};
+
+// Gives back pending discount code uses, by reservation id or checkout session. A single statement,
+// so it is atomic with or without a transaction.
+const releasePromoReservation = (client, { redemptionId = null, checkoutSessionId = null }) => client.query(
+    `WITH released AS (
+         DELETE FROM promo_redemptions WHERE (id = $1 OR checkout_session_id = $2) AND status = 'pending' RETURNING code_id
+     )
+     UPDATE promo_codes c SET redemption_count = c.redemption_count - r.count
+     FROM (SELECT code_id, COUNT(*) AS count FROM released GROUP BY code_id) r
+     WHERE c.id = r.code_id`,
+    [redemptionId, checkoutSessionId]
+);
+
+// Reservations a crashed request never attached to a checkout session would otherwise hold a use forever.
+// Any session that was created carries the reservation id and expires by then, so none is still payable.
+const sweepStalePromoReservations = async () => {
+    if (!pool) return;
+    await pool.query(
+        `WITH released AS (
+             DELETE FROM promo_redemptions
+             WHERE status = 'pending' AND checkout_session_id IS NULL AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+             RETURNING code_id
+         )
+         UPDATE promo_codes c SET redemption_count = c.redemption_count - r.count
+         FROM (SELECT code_id, COUNT(*) AS count FROM released GROUP BY code_id) r
+         WHERE c.id = r.code_id`,
+        [PROMO_CHECKOUT_TTL_SECONDS + 60 * 60]
+    );
+};
+
+// Gives back the discount code use reserved by a checkout session that was abandoned or failed
+const releaseCheckoutPromoReservation = (client, session) => releasePromoReservation(client, {
+    redemptionId: parseInt(session.metadata?.promoRedemptionId, 10) || null,
+    checkoutSessionId: session.id
+});
+
+// Takes back the points of a refunded or disputed payment. Refunds reverse points in proportion to the
+// amount refunded so far; a dispute reverses whatever is left. The balance may go negative, which
+// blocks AI usage until it is topped up again.
+const reversePaymentPoints = async (client, paymentIntentId, { status, amountRefunded, reason, referenceId }) => {
+    const paymentRes = await client.query('SELECT * FROM payments WHERE payment_intent_id = $1 FOR UPDATE', [paymentIntentId]);
+    const payment = paymentRes.rows[0];
+    if (!payment) {
+        console.warn(`No payment recorded for payment intent ${paymentIntentId}; nothing to reverse.`);
+        return;
+    }
+
+    const refunded = amountRefunded ?? payment.amount_refunded;
+    const pointsToReverse = status === 'disputed' || payment.amount_total === 0
+        ? payment.points
+        : Math.min(Math.ceil(payment.points * refunded / payment.amount_total), payment.points);
+    const amount = pointsToReverse - payment.points_reversed;
+
+    await client.query(
+        `UPDATE payments SET status = $1, amount_refunded = $2, points_reversed = points_reversed + $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [status, refunded, Math.max(amount, 0), payment.id]
+    );
+    if (amount > 0) {
+        await changePoints(client, payment.user_id, -amount, reason, { referenceType: 'payment', referenceId: payment.id, metadata: { stripeId: referenceId } });
+    }
+};
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Creates or updates the local copy of a Stripe subscription. The user and plan come from the checkout
+// metadata; the plan follows the subscription's price when it changes. Ignores subscriptions we did not create.
+const upsertSubscription = async (client, subscription) => {
+    const existingRes = await client.query('SELECT * FROM subscriptions WHERE stripe_subscription_id = $1 FOR UPDATE', [subscription.id]);
+    const existing = existingRes.rows[0];
+    const userId = existing?.user_id ?? parseInt(subscription.metadata?.userId, 10);
+    if (!userId) {
+        console.warn(`Subscription ${subscription.id} has no userId metadata; ignoring it.`);
+        return null;
+    }
+
+    const settings = await getSettings(client);
+    const item = subscription.items?.data?.[0];
+    const plan = settings.store.subscriptions.find(p => p.stripePriceId === item?.price?.id);
+    const planId = plan ? String(plan.id) : (existing?.plan_id ?? subscription.metadata?.planId ?? null);
+    const periodEnd = fromUnixTime(subscription.current_period_end ?? item?.current_period_end);
+
+    const result = await client.query(
+        `INSERT INTO subscriptions (user_id, stripe_subscription_id, plan_id, status, current_period_end, cancel_at_period_end)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (stripe_subscription_id) DO UPDATE SET plan_id = $3, status = $4, current_period_end = COALESCE($5, subscriptions.current_period_end),
+             cancel_at_period_end = $6, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [userId, subscription.id, planId, subscription.status, periodEnd, Boolean(subscription.cancel_at_period_end)]
+    );
+    if (typeof subscription.customer === 'string') {
+        await client.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [subscription.customer, userId]);
+    }
+    return result.rows[0];
+};
+
+// Grants a plan's monthly allowance for a paid invoice. Allowance points are assumed to be spent before
+// purchased ones; whatever is left of earlier grants beyond the plan's rollover cap expires first.
+const grantSubscriptionAllowance = async (client, invoice) => {
+    const subscriptionId = invoice.subscription ?? invoice.parent?.subscription_details?.subscription;
+    if (!subscriptionId) return;
+    const subscriptionRes = await client.query('SELECT * FROM subscriptions WHERE stripe_subscription_id = $1 FOR UPDATE', [subscriptionId]);
+    let subscription = subscriptionRes.rows[0];
+    if (!subscription) {
+        // invoice.paid can arrive before customer.subscription.created/updated
+        const line = invoice.lines?.data?.[0];
+        subscription = await upsertSubscription(client, {
+            id: subscriptionId,
+            customer: invoice.customer,
+            status: 'active',
+            metadata: invoice.subscription_details?.metadata ?? invoice.parent?.subscription_details?.metadata ?? line?.metadata,
+            items: { data: [{ price: line?.price ?? line?.pricing?.price_details, current_period_end: line?.period?.end }] }
+        });
+        if (!subscription) return;
+    }
+
+    const settings = await getSettings(client);
+    const plan = settings.store.subscriptions.find(p => String(p.id) === subscription.plan_id);
+    if (!plan) {
+        console.warn(`Subscription ${subscriptionId} is on unknown plan ${subscription.plan_id}; no allowance granted.`);
+        return;
+    }
+
+    const userRes = await client.query('SELECT points FROM users WHERE id = $1 FOR UPDATE', [subscription.user_id]);
+    const unused = Math.max(Math.min(subscription.allowance_remaining, userRes.rows[0].points), 0);
+    const expired = Number.isFinite(plan.rolloverCap) ? Math.max(unused - plan.rolloverCap, 0) : 0;
+    if (expired > 0) {
+        await changePoints(client, subscription.user_id, -expired, 'subscription_expiry', {
+            referenceType: 'subscription', referenceId: subscription.id, metadata: { invoiceId: invoice.id }
+        });
+    }
+    await changePoints(client, subscription.user_id, plan.monthlyPoints, 'subscription_allowance', {
+        referenceType: 'subscription', referenceId: subscription.id, metadata: { invoiceId: invoice.id, planId: plan.id }
+    });
+    await qualifyReferral(client, subscription.user_id, 'purchase');
+    const periodEnd = fromUnixTime(invoice.lines?.data?.[0]?.period?.end);
+    await client.query(
+        `UPDATE subscriptions SET allowance_remaining = $1, status = 'active', current_period_end = COALESCE($2, current_period_end), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [unused - expired + plan.monthlyPoints, periodEnd, subscription.id]
+    );
+};
+
+// Webhook event types we act on, each applied inside the event's transaction
+const stripeEventHandlers = {
+    'checkout.session.completed': async (client, session) => {
+        if (session.mode === 'subscription') {
+            // The allowance is granted by invoice.paid; only remember the customer for the billing portal
+            if (session.metadata?.userId && session.customer) {
+                await client.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [session.customer, parseInt(session.metadata.userId, 10)]);
+            }
+            if (session.metadata?.userId) {
+                await recordCheckoutPromoRedemption(client, session, parseInt(session.metadata.userId, 10));
+            }
+            return;
+        }
+        await recordCheckoutPayment(client, session);
+    },
+    'checkout.session.async_payment_succeeded': recordCheckoutPayment,
+    'checkout.session.async_payment_failed': releaseCheckoutPromoReservation,
+    'checkout.session.expired': releaseCheckoutPromoReservation,
+    'charge.refunded': (client, charge) => reversePaymentPoints(client, charge.payment_intent, {
+        status: charge.amount_refunded >= charge.amount ? 'refunded' : 'partially_refunded',
+        amountRefunded: charge.amount_refunded,
+        reason: 'refund',
+        referenceId: charge.id
+    }),
+    'charge.dispute.created': (client, dispute) => reversePaymentPoints(client, dispute.payment_intent, {
+        status: 'disputed',
+        reason: 'dispute',
+        referenceId: dispute.id
+    }),
+    'invoice.paid': grantSubscriptionAllowance,
+    'customer.subscription.created': upsertSubscription,
+    'customer.subscription.updated': upsertSubscription,
+    'customer.subscription.deleted': upsertSubscription
+};
+
+// --- Referrals ---
+
+// Reduces an email address to the mailbox it delivers to, so "name+1@gmail.com" and "n.ame@gmail.com" match
+const emailFingerprint = (email) => {
+    const [local = '', domain = ''] = String(email).trim().toLowerCase().split('@');
+    let mailbox = local.split('+')[0];
+    let host = domain;
+    if (host === 'gmail.com' || host === 'googlemail.com') {
+        mailbox = mailbox.replace(/\./g, '');
+        host = 'gmail.com';
+    }
+    return `${mailbox}@${host}`;
+};
+
+const getReferralSettings = (settings) => ({ ...defaultSettings.referrals, ...(settings.referrals || {}) });
+
+// Keyed with the server secret: a plain hash of an IPv4 address is reversed by trying all 2^32 of them
+const hashReferralIp = (ip) => crypto.createHmac('sha256', jwtSecret).update(`referral-ip:${ip}`).digest('hex');
+
+// Records a signup made with a referral code. The reward stays pending until the new user qualifies;
+// signups that look like duplicates of the referrer or of earlier referees, or that exceed the
+// referrer's cap, are recorded as rejected and never paid.
+const recordReferral = async (client, { referrerId, refereeId, email, ip }, settings) => {
+    const fingerprint = emailFingerprint(email);
+    const ipHash = ip ? hashReferralIp(ip) : null;
+
+    let rejectReason = null;
+    const referrerRes = await client.query('SELECT email FROM users WHERE id = $1', [referrerId]);
+    if (emailFingerprint(referrerRes.rows[0].email) === fingerprint) {
+        rejectReason = 'self_referral';
+    }
+    if (!rejectReason) {
+        const emailRes = await client.query('SELECT id FROM referrals WHERE email_fingerprint = $1 LIMIT 1', [fingerprint]);
+        if (emailRes.rows.length > 0) rejectReason = 'duplicate_email';
+    }
+    if (!rejectReason && ip) {
+        const ipRes = await client.query(
+            `SELECT 1 FROM referrals WHERE referrer_id = $1 AND ip_hash = $2
+             UNION ALL SELECT 1 FROM user_sessions WHERE user_id = $1 AND ip_address = $3 LIMIT 1`,
+            [referrerId, ipHash, ip]
+        );
+        if (ipRes.rows.length > 0) rejectReason = 'duplicate_ip';
+    }
+    if (!rejectReason) {
+        const { maxRewardsPerReferrer } = getReferralSettings(settings);
+        const countRes = await client.query("SELECT COUNT(*) AS count FROM referrals WHERE referrer_id = $1 AND status IN ('pending', 'rewarded')", [referrerId]);
+        if (maxRewardsPerReferrer && parseInt(countRes.rows[0].count, 10) >= maxRewardsPerReferrer) {
+            rejectReason = 'cap_reached';
+        }
+    }
+
+    const result = await client.query(
+        `INSERT INTO referrals (referrer_id, referee_id, status, reject_reason, bonus, email_fingerprint, ip_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [referrerId, refereeId, rejectReason ? 'rejected' : 'pending', rejectReason, settings.costs.referralBonus || 50, fingerprint, ipHash]
+    );
+    return result.rows[0];
+};
+
+// Pays a pending referral to both users once the referee does something in `settings.referrals.qualifyOn`:
+// verifying their email, a first purchase or a first AI operation
+const qualifyReferral = async (client, refereeId, trigger) => {
+    const referralRes = await client.query("SELECT * FROM referrals WHERE referee_id = $1 AND status = 'pending' FOR UPDATE", [refereeId]);
+    const referral = referralRes.rows[0];
+    if (!referral) return;
+    const { qualifyOn } = getReferralSettings(await getSettings(client));
+    if (!qualifyOn.includes(trigger)) return;
+
+    await client.query(
+        "UPDATE referrals SET status = 'rewarded', qualified_by = $1, rewarded_at = CURRENT_TIMESTAMP WHERE id = $2",
+        [trigger, referral.id]
+    );
+    await client.query('UPDATE users SET referrals = COALESCE(referrals, 0) + 1 WHERE id = $1', [referral.referrer_id]);
+    await changePoints(client, referral.referrer_id, referral.bonus, 'referral_bonus', { referenceType: 'referral', referenceId: referral.id });
+    await changePoints(client, referral.referee_id, referral.bonus, 'referral_bonus', { referenceType: 'referral', referenceId: referral.id });
+};
+
+// qualifyReferral in its own transaction, for callers that have already committed theirs
+const qualifyReferralAfter = async (refereeId, trigger) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await qualifyReferral(client, refereeId, trigger);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Failed to qualify referral of user ${refereeId}:`, error);
+    } finally {
+        client.release();
+    }
+};
+
+// --- Daily Rewards ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (e) {
+        return false;
+    }
+};
+
+// The calendar day ('YYYY-MM-DD') that `date` falls on in `timeZone`
+const calendarDay = (date, timeZone) =>
+    new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const daysBetween = (fromDay, toDay) => Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+// The instant a calendar day starts in `timeZone`
+const startOfDay = (day, timeZone) => {
+    const offsetAt = (instant) => {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(instant).map(part => [part.type, part.value]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    };
+    const midnightUtc = Date.parse(day);
+    const guess = midnightUtc - offsetAt(midnightUtc);
+    return new Date(midnightUtc - offsetAt(guess));
+};
+
+const getDailyRewardSettings = (settings) => ({
+    escalation: [settings.costs.dailyRewardPoints],
+    milestones: [],
+    graceDays: 0,
+    ...(settings.dailyRewards || {})
+});
+
+// Works out a user's daily reward state at `now`. Days are calendar days in the user's timezone; a claim
+// also needs a new day in the timezone of the previous claim, so switching timezones cannot produce two
+// claims on the same day.
+const getDailyRewardStatus = (user, settings, now) => {
+    const { escalation, milestones, graceDays } = getDailyRewardSettings(settings);
+    const timezone = user.timezone || 'UTC';
+    const today = calendarDay(now, timezone);
+    const lastTimezone = user.last_claim_timezone || timezone;
+    const lastDay = user.last_claim_date || (user.last_daily_claim ? calendarDay(new Date(user.last_daily_claim), lastTimezone) : null);
+
+    let canClaim = true;
+    let streak = 0;
+    let nextClaimAt = now;
+    let streakExpiresAt = null;
+    if (lastDay) {
+        const gap = daysBetween(lastDay, calendarDay(now, lastTimezone));
+        canClaim = gap >= 1 && today > lastDay;
+        // The streak survives up to `graceDays` missed days
+        if (gap <= 1 + graceDays) {
+            streak = user.daily_streak;
+            streakExpiresAt = startOfDay(addDays(lastDay, 2 + graceDays), lastTimezone);
+        }
+        if (!canClaim) {
+            const tomorrow = addDays(lastDay, 1);
+            nextClaimAt = new Date(Math.max(startOfDay(tomorrow, lastTimezone).getTime(), startOfDay(tomorrow, timezone).getTime()));
+        }
+    }
+
+    const nextStreak = streak + 1;
+    const points = escalation[Math.min(nextStreak, escalation.length) - 1] || 0;
+    const bonus = milestones.filter(m => m.day === nextStreak).reduce((sum, m) => sum + m.bonus, 0);
+    return { timezone, today, canClaim, streak, nextStreak, reward: { points, bonus, total: points + bonus }, nextClaimAt, streakExpiresAt };
+};
+
+// --- Promo Codes ---
+
+const normalizePromoCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Loads a promo code and checks that a user may use it now. The code row is locked, so call it inside
+// the transaction that records the redemption.
+const checkPromoCode = async (client, code, userId, kind) => {
+    const promoRes = await client.query('SELECT * FROM promo_codes WHERE code = $1 FOR UPDATE', [normalizePromoCode(code)]);
+    const promo = promoRes.rows[0];
+    if (!promo || !promo.active) {
+        return { error: 'Invalid promo code.' };
+    }
+    if (promo.kind !== kind) {
+        return { error: kind === 'points' ? 'This code gives a discount; apply it at checkout.' : 'This code gives points; redeem it instead.' };
+    }
+    if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+        return { error: 'This promo code has expired.' };
+    }
+    if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+        return { error: 'This promo code has reached its usage limit.' };
+    }
+    if (promo.countries && promo.countries.length > 0) {
+        const userRes = await client.query('SELECT country FROM users WHERE id = $1', [userId]);
+        if (!promo.countries.includes(userRes.rows[0]?.country)) {
+            return { error: 'This promo code is not available in your country.' };
+        }
+    }
+    const usedRes = await client.query('SELECT COUNT(*) AS count FROM promo_redemptions WHERE code_id = $1 AND user_id = $2', [promo.id, userId]);
+    if (parseInt(usedRes.rows[0].count, 10) >= promo.per_user_limit) {
+        return { error: 'You have already used this promo code.' };
+    }
+    return { promo };
+};
+
+// Records a use of a promo code and counts it against the code's total cap
+const recordPromoRedemption = async (client, codeId, userId, { points = 0, checkoutSessionId = null, discountAmount = 0, currency = null, status = 'completed' } = {}) => {
+    const result = await client.query(
+        `INSERT INTO promo_redemptions (code_id, user_id, points, checkout_session_id, discount_amount, currency, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [codeId, userId, points, checkoutSessionId, discountAmount, currency, status]
+    );
+    await client.query('UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = $1', [codeId]);
+    return result.rows[0];
+};
+
+// Checkout sessions with a discount code expire sooner, so abandoned ones do not hold a use for a day.
+// Stripe needs expires_at at least 30 minutes after it creates the session; the extra minute covers request latency.
+const PROMO_CHECKOUT_TTL_SECONDS = 31 * 60;
+
+// Reserves a use of a discount code for a checkout about to be created: a pending redemption counted
+// against the code's caps. The transaction only lasts while the code row is locked, never across Stripe calls.
+const reservePromoCode = async (code, userId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { promo, error } = await checkPromoCode(client, code, userId, 'discount');
+        if (error) {
+            await client.query('ROLLBACK');
+            return { error };
+        }
+        const redemption = await recordPromoRedemption(client, promo.id, userId, { status: 'pending' });
+        await client.query('COMMIT');
+        return { promo, redemption };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Returns the Stripe coupon of a discount code, creating it on first use. When two checkouts create
+// one at the same time, the first stored wins and the other coupon is left unused.
+const getPromoStripeCoupon = async (promo) => {
+    if (promo.stripe_coupon_id) return promo.stripe_coupon_id;
+    const coupon = await stripe.coupons.create({ percent_off: promo.percent_off, duration: 'once', name: promo.code });
+    const result = await pool.query(
+        'UPDATE promo_codes SET stripe_coupon_id = COALESCE(stripe_coupon_id, $1) WHERE id = $2 RETURNING stripe_coupon_id',
+        [coupon.id, promo.id]
+    );
+    return result.rows[0]?.stripe_coupon_id || coupon.id;
+};
+
+// Validates an admin create/update body for a promo code; `partial` allows omitted fields
+const parsePromoCodeInput = (body, partial) => {
+    const values = {};
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    const fields = {
+        code: (value) => (/^[A-Z0-9_-]{3,50}$/.test(normalizePromoCode(value)) ? ['code', normalizePromoCode(value)] : 'code must be 3-50 letters, digits, "-" or "_".'),
+        kind: (value) => (['points', 'discount'].includes(value) ? ['kind', value] : 'kind must be "points" or "discount".'),
+        points: (value) => (value === null || isPositiveInteger(value) ? ['points', value] : 'points must be a positive integer.'),
+        percentOff: (value) => (value === null || (isPositiveInteger(value) && value <= 100) ? ['percent_off', value] : 'percentOff must be an integer from 1 to 100.'),
+        expiresAt: (value) => (value === null || !isNaN(Date.parse(value)) ? ['expires_at', value === null ? null : new Date(value)] : 'expiresAt must be a date.'),
+        maxRedemptions: (value) => (value === null || isPositiveInteger(value) ? ['max_redemptions', value] : 'maxRedemptions must be a positive integer or null.'),
+        perUserLimit: (value) => (isPositiveInteger(value) ? ['per_user_limit', value] : 'perUserLimit must be a positive integer.'),
+        countries: (value) => (value === null || (Array.isArray(value) && value.every(c => typeof c === 'string')) ? ['countries', value === null ? null : JSON.stringify(value)] : 'countries must be a list of country names or null.'),
+        active: (value) => (typeof value === 'boolean' ? ['active', value] : 'active must be a boolean.'),
+        description: (value) => (value === null || typeof value === 'string' ? ['description', value] : 'description must be a string.')
+    };
+
+    for (const [field, parse] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+        const parsed = parse(body[field]);
+        if (typeof parsed === 'string') {
+            return { error: { field, message: parsed } };
+        }
+        values[parsed[0]] = parsed[1];
+    }
+    if (!partial) {
+        for (const field of ['code', 'kind']) {
+            if (body[field] === undefined) return { error: { field, message: `${field} is required.` } };
+        }
+        if (values.kind === 'points' && !values.points) return { error: { field: 'points', message: 'points is required for points codes.' } };
+        if (values.kind === 'discount' && !values.percent_off) return { error: { field: 'percentOff', message: 'percentOff is required for discount codes.' } };
+    }
+    return { values };
+};
+
+// --- Settings Schema & Revisions ---
+
+// Schema nodes for the settings document:
+//   { type: 'object', fields?, values?, required? }  `fields` describes known keys, `values` any other key (maps)
+//   { type: 'array', items, minItems?, maxItems? }
+//   { type: 'string', values?, pattern?, patternHint?, maxLength? }
+//   { type: 'integer' | 'number', min?, max? }, { type: 'boolean' }, { type: 'id' } (positive integer or string)
+// Any node may set `nullable: true`.
+const settingText = { type: 'string', maxLength: 20000 };
+const settingColor = { type: 'string', pattern: /^#[0-9a-fA-F]{3,8}$/, patternHint: 'a hex color such as "#FF6B6B"' };
+const settingPoints = { type: 'integer', min: 0 };
+const settingCount = { type: 'integer', min: 1 };
+const settingBoolean = { type: 'boolean' };
+const settingPricingRule = {
+    type: 'object',
+    fields: {
+        unit: { type: 'string', values: ['request', 'character', 'image', 'resolution'] },
+        price: { type: 'number', min: 0 },
+        unitSize: settingCount,
+        resolutions: { type: 'object', values: { type: 'number', min: 0 } },
+        addOns: { type: 'object', fields: { removeWatermark: { type: 'number', min: 0 } } },
+        minimum: { type: 'number', min: 0 }
+    }
+};
+const settingContentStatus = { type: 'string', values: ['draft', 'published'] };
+const settingContentSection = {
+    type: 'object',
+    fields: {
+        title_ar: settingText,
+        title_en: settingText,
+        items: {
+            type: 'array',
+            maxItems: 200,
+            items: { type: 'object', fields: { id: { type: 'id' }, status: settingContentStatus }, values: { ...settingText, nullable: true } }
+        }
+    },
+    values: settingText
+};
+const settingRateLimit = {
+    type: 'object',
+    fields: { windowSeconds: settingCount, max: settingCount, keyBy: { type: 'string', values: ['ip', 'user'] } }
+};
+
+const SETTINGS_SCHEMA = {
+    type: 'object',
+    fields: {
+        costs: {
+            type: 'object',
+            required: true,
+            fields: { dailyRewardPoints: settingPoints, referralBonus: settingPoints, newUserPoints: settingPoints }
+        },
+        pricing: {
+            type: 'object',
+            fields: {
+                tools: {
+                    type: 'object',
+                    fields: Object.fromEntries(Object.keys(defaultSettings.ai.tools).map(tool => [tool, {
+                        ...settingPricingRule,
+                        fields: { ...settingPricingRule.fields, models: { type: 'object', values: settingPricingRule } }
+                    }]))
+                }
+            }
+        },
+        theme: {
+            type: 'object',
+            fields: {
+                logoUrl: settingText,
+                logoWidth: settingPoints,
+                logoHeight: settingPoints,
+                logoAlign: { type: 'string', values: ['left', 'center', 'right'] },
+                primaryColor: settingColor,
+                secondaryColor: settingColor,
+                navbarColor: settingColor,
+                navTextColor: settingColor,
+                buttonPadding: settingPoints,
+                sliderHeight: settingPoints,
+                navButtonFontSize: settingCount
+            }
+        },
+        content: {
+            type: 'object',
+            fields: {
+                siteNameAr: settingText,
+                siteNameEn: settingText,
+                slider: {
+                    type: 'object',
+                    values: { type: 'object', fields: { order: settingPoints, status: settingContentStatus }, values: settingText }
+                },
+                finalCta: { type: 'object', values: settingText },
+                testimonials: {
+                    ...settingContentSection,
+                    fields: { ...settingContentSection.fields, items: { ...settingContentSection.fields.items, minItems: 1 } }
+                }
+            },
+            values: settingContentSection
+        },
+        store: {
+            type: 'object',
+            required: true,
+            fields: {
+                // Arrays replace the stored list as a whole, so an empty list would wipe the store
+                packages: {
+                    type: 'array',
+                    required: true,
+                    minItems: 1,
+                    maxItems: 50,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'id', required: true },
+                            points: { ...settingCount, required: true },
+                            price: { type: 'number', min: 0, required: true },
+                            stripePriceId: { type: 'string', maxLength: 255, required: true }
+                        }
+                    }
+                },
+                subscriptions: {
+                    type: 'array',
+                    maxItems: 50,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            id: { type: 'id', required: true },
+                            name_ar: settingText,
+                            name_en: settingText,
+                            price: { type: 'number', min: 0, required: true },
+                            stripePriceId: { type: 'string', maxLength: 255, required: true },
+                            monthlyPoints: { ...settingCount, required: true },
+                            rolloverCap: { ...settingPoints, nullable: true }
+                        }
+                    }
+                }
+            }
+        },
+        announcement: {
+            type: 'object',
+            fields: {
+                enabled: settingBoolean,
+                imageUrl: settingText,
+                contentEn: settingText,
+                contentAr: settingText,
+                textColor: settingColor,
+                fontSize: settingCount
+            }
+        },
+        ai: {
+            type: 'object',
+            fields: {
+                tools: {
+                    type: 'object',
+                    fields: Object.fromEntries(Object.keys(defaultSettings.ai.tools).map(tool => [tool, {
+                        type: 'object',
+                        fields: { provider: { type: 'string', values: ['gemini', 'mock'] }, model: { type: 'string', maxLength: 100 } }
+                    }]))
+                }
+            }
+        },
+        jobs: {
+            type: 'object',
+            fields: { concurrency: { type: 'object', fields: { image: settingCount, speech: settingCount, text: settingCount } } }
+        },
+        dailyRewards: {
+            type: 'object',
+            fields: {
+                escalation: { type: 'array', minItems: 1, maxItems: 366, items: settingPoints },
+                milestones: { type: 'array', maxItems: 100, items: { type: 'object', fields: { day: { ...settingCount, required: true }, bonus: { ...settingPoints, required: true } } } },
+                graceDays: settingPoints
+            }
+        },
+        rateLimits: {
+            type: 'object',
+            fields: Object.fromEntries(Object.keys(defaultSettings.rateLimits).map(name => [name, settingRateLimit]))
+        },
+        referrals: {
+            type: 'object',
+            fields: {
+                maxRewardsPerReferrer: { ...settingPoints, nullable: true },
+                qualifyOn: { type: 'array', items: { type: 'string', values: ['email_verified', 'purchase', 'ai_use'] } }
+            }
+        },
+        security: {
+            type: 'object',
+            fields: {
+                passwordPolicy: {
+                    type: 'object',
+                    fields: {
+                        minLength: { type: 'integer', min: 1, max: 128 },
+                        requireLetter: settingBoolean,
+                        requireNumber: settingBoolean,
+                        requireSymbol: settingBoolean
+                    }
+                },
+                lockout: {
+                    type: 'object',
+                    fields: { maxAttempts: settingCount, baseLockSeconds: settingCount, maxLockSeconds: settingCount }
+                },
+                requireAdminTwoFactor: settingBoolean
+            }
+        },
+        maintenance: {
+            type: 'object',
+            fields: { enabled: settingBoolean, message_en: settingText, message_ar: settingText }
+        }
+    }
+};
+
+// Checks a settings value against its schema node. Unknown keys are only refused when they appear in
+// `patch`, so values stored before the schema existed do not block saves.
+const validateSetting = (value, spec, path, patch) => {
+    const fail = (message) => ({ field: path, message: `${path} ${message}` });
+    if (value === null && spec.nullable) return null;
+
+    switch (spec.type) {
+        case 'object': {
+            if (!isObject(value)) return fail('must be an object.');
+            for (const [key, fieldSpec] of Object.entries(spec.fields || {})) {
+                if (fieldSpec.required && value[key] === undefined) {
+                    const fieldPath = path ? `${path}.${key}` : key;
+                    return { field: fieldPath, message: `${fieldPath} is required.` };
+                }
+            }
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = path ? `${path}.${key}` : key;
+                const childPatch = isObject(patch) ? patch[key] : undefined;
+                const childSpec = spec.fields?.[key] || spec.values;
+                if (!childSpec) {
+                    if (childPatch !== undefined) return { field: childPath, message: `${childPath} is not a known setting.` };
+                    continue;
+                }
+                const error = validateSetting(child, childSpec, childPath, childPatch);
+                if (error) return error;
+            }
+            return null;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail('must be a list.');
+            if (spec.minItems && value.length < spec.minItems) return fail(`must have at least ${spec.minItems} item(s).`);
+            if (spec.maxItems && value.length > spec.maxItems) return fail(`must have at most ${spec.maxItems} items.`);
+            for (let i = 0; i < value.length; i++) {
+                // Arrays are replaced as a whole, so a submitted array is checked as strictly as the patch
+                const error = validateSetting(value[i], spec.items, `${path}[${i}]`, Array.isArray(patch) ? patch[i] : undefined);
+                if (error) return error;
+            }
+            return null;
+        }
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string.');
+            if (spec.maxLength && value.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters long.`);
+            if (spec.values && !spec.values.includes(value)) return fail(`must be one of: ${spec.values.join(', ')}.`);
+            if (spec.pattern && !spec.pattern.test(value)) return fail(`must be ${spec.patternHint}.`);
+            return null;
+        case 'integer':
+        case 'number':
+            if (spec.type === 'integer' ? !Number.isInteger(value) : !(typeof value === 'number' && Number.isFinite(value))) {
+                return fail(`must be ${spec.type === 'integer' ? 'an integer' : 'a number'}.`);
+            }
+            if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}.`);
+            if (spec.max !== undefined && value > spec.max) return fail(`must be at most ${spec.max}.`);
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : fail('must be true or false.');
+        case 'id':
+            return (Number.isInteger(value) && value > 0) || (typeof value === 'string' && value.length > 0 && value.length <= 100)
+                ? null : fail('must be a positive integer or a non-empty string.');
+        default:
+            return null;
+    }
+};
+
+// Stores a settings document as a new numbered revision with its diff and an audit entry, in the caller's transaction
+const saveSettingsRevision = async (client, req, currentSettings, newSettings, { action = 'update', sourceRevision = null, audit = null } = {}) => {
+    const changes = diffObjects(currentSettings, newSettings);
+    await client.query("UPDATE settings SET value = $1 WHERE key = 'app_settings'", [newSettings]);
+    const revisionRes = await client.query(
+        `INSERT INTO settings_revisions (value, changes, author_id, action, source_revision)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id, changes, author_id, action, source_revision, created_at`,
+        [newSettings, JSON.stringify(changes), req.userId, action, sourceRevision]
+    );
+    await recordAudit(client, req, audit || {
+        action: `settings.${action}`, targetType: 'settings', targetId: 'app_settings', before: currentSettings, after: newSettings
+    });
+    rateLimitSettingsCache.loadedAt = 0;
+    return revisionRes.rows[0];
+};
+
+// --- Content Collections ---
+
+// The homepage collections under settings.content. Most keep their items in an ordered `items`
+// array; the slider is a map of slides keyed by id, ordered by each slide's `order`.
+// Localized fields come in `_ar`/`_en` pairs.
+const CONTENT_COLLECTIONS = {
+    slider: { keyed: true, fields: ['image', 'title_ar', 'title_en', 'text_ar', 'text_en'], required: ['image', 'title_ar', 'title_en'] },
+    homepageServices: { fields: ['icon', 'title_ar', 'title_en', 'text_ar', 'text_en'], required: ['title_ar', 'title_en'] },
+    benefits: { fields: ['icon', 'title_ar', 'title_en', 'text_ar', 'text_en'], required: ['title_ar', 'title_en'] },
+    useCases: { fields: ['icon', 'title_ar', 'title_en', 'text_ar', 'text_en'], required: ['title_ar', 'title_en'] },
+    testimonials: {
+        fields: ['quote_ar', 'quote_en', 'name_ar', 'name_en', 'role_ar', 'role_en', 'avatarUrl'],
+        required: ['quote_ar', 'quote_en', 'name_ar', 'name_en']
+    },
+    faq: { fields: ['q_ar', 'q_en', 'a_ar', 'a_en'], required: ['q_ar', 'q_en', 'a_ar', 'a_en'] }
+};
+const CONTENT_LANGUAGES = ['ar', 'en'];
+
+const newContentItemId = () => crypto.randomBytes(4).toString('hex');
+
+// The items of a content collection in display order; items saved before statuses existed count as published
+const getContentItems = (content, collection) => {
+    if (CONTENT_COLLECTIONS[collection].keyed) {
+        return Object.entries(content?.[collection] || {})
+            .map(([id, item]) => ({ ...item, id, status: item.status || 'published' }))
+            .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.id.localeCompare(b.id))
+            .map(({ order, ...item }) => item);
+    }
+    return (content?.[collection]?.items || []).map(item => ({ ...item, status: item.status || 'published' }));
+};
+
+// Stores the items of a content collection in the given order
+const setContentItems = (content, collection, items) => {
+    if (CONTENT_COLLECTIONS[collection].keyed) {
+        return { ...content, [collection]: Object.fromEntries(items.map(({ id, ...item }, order) => [id, { ...item, order }])) };
+    }
+    return { ...content, [collection]: { ...content?.[collection], items } };
+};
+
+// Gives every item of the array collections an id; returns null if none was missing
+const assignContentItemIds = (content) => {
+    let updated = null;
+    for (const collection of Object.keys(CONTENT_COLLECTIONS)) {
+        if (CONTENT_COLLECTIONS[collection].keyed) continue;
+        const items = content?.[collection]?.items || [];
+        if (items.every(item => item.id !== undefined && item.id !== null)) continue;
+        updated = setContentItems(updated || content, collection, items.map(item => (item.id !== undefined && item.id !== null ? item : { id: newContentItemId(), ...item })));
+    }
+    return updated;
+};
+
+const parseContentItemInput = (collection, body, partial) => {
+    const { fields, required } = CONTENT_COLLECTIONS[collection];
+    const values = {};
+    for (const field of fields) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== 'string' || body[field].length > settingText.maxLength) {
+            return { error: { field, message: `${field} must be a string of at most ${settingText.maxLength} characters.` } };
+        }
+        values[field] = body[field];
+    }
+    if (body.status !== undefined) {
+        if (!settingContentStatus.values.includes(body.status)) {
+            return { error: { field: 'status', message: 'status must be "draft" or "published".' } };
+        }
+        values.status = body.status;
+    }
+    if (!partial) {
+        const missing = required.find(field => !values[field]);
+        if (missing) return { error: { field: missing, message: `${missing} is required.` } };
+    }
+    return { values };
+};
+
+// Picks one language from a content item (`title_ar`/`title_en` become `title`), falling back to the other
+const localizeContentItem = (item, lang) => {
+    const localized = {};
+    for (const [key, value] of Object.entries(item)) {
+        if (key === 'status') continue;
+        const match = /^(.+)_(ar|en)$/.exec(key);
+        if (!match) {
+            localized[key] = value;
+            continue;
+        }
+        const otherLang = lang === 'ar' ? 'en' : 'ar';
+        localized[match[1]] = item[`${match[1]}_${lang}`] || item[`${match[1]}_${otherLang}`] || '';
+    }
+    return localized;
+};
+
+// The published items of a collection in one language, with the section's localized title
+const getPublishedCollection = (content, collection, lang) => {
+    const items = getContentItems(content, collection).filter(item => item.status === 'published').map(item => localizeContentItem(item, lang));
+    if (CONTENT_COLLECTIONS[collection].keyed) return { items };
+    const section = content?.[collection] || {};
+    return { title: section[`title_${lang}`] || section.title_ar || section.title_en || '', items };
+};
+
+// Removes draft items, for settings served to visitors
+const withoutDraftContent = (settings) => {
+    let content = settings.content;
+    for (const collection of Object.keys(CONTENT_COLLECTIONS)) {
+        if (!content?.[collection]) continue;
+        const published = getContentItems(content, collection).filter(item => item.status === 'published');
+        content = setContentItems(content, collection, published);
+    }
+    return { ...settings, content };
+};
+
+// Language of a public content request: `?lang=`, else the Accept-Language header, else Arabic
+const getRequestLanguage = (req) => {
+    if (CONTENT_LANGUAGES.includes(req.query.lang)) return req.query.lang;
+    return /^en\b/i.test(req.headers['accept-language'] || '') ? 'en' : 'ar';
+};
+
+// Changes one content collection and saves the settings as a new revision, in one transaction.
+// `change` receives the current items and returns `{ items, action }` or `{ error: { status, body } }`.
+const updateContentCollection = async (req, collection, change) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const currentSettingsRes = await client.query("SELECT value FROM settings WHERE key = 'app_settings' FOR UPDATE");
+        const currentSettings = currentSettingsRes.rows[0]?.value || {};
+        const outcome = change(getContentItems(currentSettings.content, collection));
+        if (outcome.error) {
+            await client.query('ROLLBACK');
+            return outcome;
+        }
+
+        const newSettings = { ...currentSettings, content: setContentItems(currentSettings.content, collection, outcome.items) };
+        const validationError = validateSetting(newSettings, SETTINGS_SCHEMA, '');
+        if (validationError) {
+            await client.query('ROLLBACK');
+            return { error: { status: 400, body: validationError } };
+        }
+        const itemId = outcome.item?.id ?? outcome.before?.id;
+        await saveSettingsRevision(client, req, currentSettings, newSettings, {
+            audit: {
+                action: `content.${outcome.action}`,
+                targetType: 'content',
+                targetId: itemId === undefined ? collection : `${collection}/${itemId}`,
+                before: outcome.action === 'reorder' ? { order: getContentItems(currentSettings.content, collection).map(item => item.id) } : outcome.before,
+                after: outcome.action === 'reorder' ? { order: outcome.items.map(item => item.id) } : outcome.item
+            }
+        });
+        await client.query('COMMIT');
+        return outcome;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// --- Admin Users ---
+const USER_STATUSES = ['active', 'suspended', 'banned'];
+const ADMIN_USER_COLUMNS = ['id', 'username', 'email', 'email_verified', 'points', 'held_points', 'country', 'status', 'is_admin', 'referral_code', 'created_at', 'last_login'];
+const ADMIN_USER_SORTS = { createdAt: 'created_at', lastLogin: 'last_login', username: 'username', email: 'email', points: 'points', country: 'country' };
+const BULK_USER_ACTIONS = { suspend: 'suspended', ban: 'banned', activate: 'active', grant_points: null };
+
+// Turns the admin user list query string into SQL: q, status, country, isAdmin, createdFrom/createdTo,
+// lastLoginFrom/lastLoginTo, sort (a key of ADMIN_USER_SORTS) and order
+const parseUserListQuery = (query) => {
+    const conditions = [];
+    const values = [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (typeof query.q === 'string' && query.q.trim()) {
+        const term = query.q.trim();
+        const pattern = param(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(username ILIKE ${pattern} OR email ILIKE ${pattern} OR referral_code = ${param(term)})`);
+    }
+    if (query.status !== undefined) {
+        if (!USER_STATUSES.includes(query.status)) return { error: { field: 'status', message: `status must be one of: ${USER_STATUSES.join(', ')}.` } };
+        conditions.push(`status = ${param(query.status)}`);
+    }
+    if (query.country) {
+        conditions.push(`country = ${param(String(query.country))}`);
+    }
+    if (query.isAdmin !== undefined) {
+        if (!['true', 'false'].includes(query.isAdmin)) return { error: { field: 'isAdmin', message: 'isAdmin must be true or false.' } };
+        conditions.push(`is_admin = ${param(query.isAdmin === 'true')}`);
+    }
+    for (const [field, column, operator] of [
+        ['createdFrom', 'created_at', '>='], ['createdTo', 'created_at', '<'],
+        ['lastLoginFrom', 'last_login', '>='], ['lastLoginTo', 'last_login', '<']
+    ]) {
+        if (!query[field]) continue;
+        const date = new Date(query[field]);
+        if (isNaN(date)) return { error: { field, message: `${field} must be a date.` } };
+        conditions.push(`${column} ${operator} ${param(date)}`);
+    }
+
+    for (const field of ['sort', 'order']) {
+        if (query[field] !== undefined && typeof query[field] !== 'string') return { error: { field, message: `${field} must be a single value.` } };
+    }
+    const sort = query.sort || 'createdAt';
+    if (!Object.prototype.hasOwnProperty.call(ADMIN_USER_SORTS, sort)) return { error: { field: 'sort', message: `sort must be one of: ${Object.keys(ADMIN_USER_SORTS).join(', ')}.` } };
+    const order = (query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) return { error: { field: 'order', message: 'order must be asc or desc.' } };
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        orderBy: `ORDER BY ${ADMIN_USER_SORTS[sort]} ${order.toUpperCase()} NULLS LAST, id ${order.toUpperCase()}`,
+        values
+    };
+};
+
+// Validates the fields an admin may change on a user; absent fields are left unchanged
+const parseAdminUserUpdate = (body) => {
+    const values = {};
+    const fields = {
+        points: (value) => (Number.isInteger(value) && value >= 0 ? ['points', value] : 'points must be a non-negative integer.'),
+        status: (value) => (USER_STATUSES.includes(value) ? ['status', value] : `status must be one of: ${USER_STATUSES.join(', ')}.`),
+        country: (value) => (value === null || (typeof value === 'string' && value.length <= 5) ? ['country', value] : 'country must be a country code or null.'),
+        isAdmin: (value) => (typeof value === 'boolean' ? ['is_admin', value] : 'isAdmin must be a boolean.')
+    };
+    for (const [field, parse] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+        const parsed = parse(body[field]);
+        if (typeof parsed === 'string') {
+            return { error: { field, message: parsed } };
+        }
+        values[parsed[0]] = parsed[1];
+    }
+    return { values };
+};
+
+// Quotes a CSV cell; cells that a spreadsheet would run as a formula are prefixed with an apostrophe
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// --- Login Security ---
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the previous and next step are accepted to tolerate clock drift
+const TOTP_WINDOW = 1;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Only these failures count towards a lockout; attempts rejected while locked do not extend it
+const LOCKOUT_FAILURE_REASONS = ['invalid_credentials', 'invalid_two_factor'];
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) return null;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) with HMAC-SHA1 and dynamic truncation
+const generateHotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// Checks a TOTP code (RFC 6238) and returns its time step; steps up to `lastUsedStep` are refused
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+    const key = base32Decode(secret);
+    if (!key || (typeof code !== 'string' && typeof code !== 'number')) return null;
+    const candidate = Buffer.from(String(code).replace(/\s/g, ''));
+    const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (lastUsedStep !== null && step <= Number(lastUsedStep)) continue;
+        const expected = Buffer.from(generateHotp(key, step));
+        if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) return step;
+    }
+    return null;
+};
+
+const getOtpAuthUrl = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes are compared case-insensitively and without separators
+const hashRecoveryCode = (code) => hashToken(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+// Replaces all recovery codes of a user with a fresh set, to be shown once; only hashes are stored
+const replaceRecoveryCodes = async (client, userId) => {
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join('-');
+        await client.query('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, hashRecoveryCode(code)]);
+        codes.push(code);
+    }
+    return codes;
+};
+
+const isTwoFactorEnabled = async (client, userId) => {
+    const result = await client.query('SELECT 1 FROM user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL', [userId]);
+    return result.rows.length > 0;
+};
+
+// Checks the second factor of a user. An accepted TOTP step is remembered so the code cannot be replayed,
+// and recovery codes are single use.
+const verifySecondFactor = async (client, userId, { code, recoveryCode }) => {
+    if (code) {
+        const totpRes = await client.query('SELECT secret, last_used_step FROM user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL', [userId]);
+        const totp = totpRes.rows[0];
+        const step = totp ? verifyTotp(totp.secret, code, totp.last_used_step) : null;
+        if (step === null) return null;
+        // Conditional on the previous step so two concurrent requests cannot both use the code
+        const updateRes = await client.query(
+            'UPDATE user_totp SET last_used_step = $1 WHERE user_id = $2 AND (last_used_step IS NULL OR last_used_step < $1)',
+            [step, userId]
+        );
+        return updateRes.rowCount > 0 ? 'totp' : null;
+    }
+    if (recoveryCode && typeof recoveryCode === 'string') {
+        const result = await client.query(
+            'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+            [userId, hashRecoveryCode(recoveryCode)]
+        );
+        return result.rows.length > 0 ? 'recovery_code' : null;
+    }
+    return null;
+};
+
+const recordLoginAttempt = (client, req, { userId = null, identifier, success, failureReason = null }) => client.query(
+    `INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, failure_reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, String(identifier).slice(0, 255), req.ip, (req.headers['user-agent'] || '').slice(0, 255), success, failureReason]
+);
+
+// Works out whether logins are locked after repeated failures. Known accounts are tracked by user id
+// whichever identifier is used; unknown identifiers lock the same way so a lockout does not reveal
+// whether an account exists.
+const getLockedUntil = async (client, { userId, identifier }, settings) => {
+    const { maxAttempts, baseLockSeconds, maxLockSeconds } = { ...defaultSettings.security.lockout, ...settings.security?.lockout };
+    const result = await client.query(
+        `SELECT success, failure_reason, created_at FROM login_attempts
+         WHERE ${userId ? 'user_id = $1' : 'user_id IS NULL AND identifier = $1'} AND created_at > $2
+         ORDER BY id DESC LIMIT 100`,
+        [userId || String(identifier).slice(0, 255), new Date(Date.now() - DAY_MS)]
+    );
+
+    let failures = 0;
+    let lastFailureAt = null;
+    for (const attempt of result.rows) {
+        if (attempt.success) break;
+        if (!LOCKOUT_FAILURE_REASONS.includes(attempt.failure_reason)) continue;
+        failures++;
+        lastFailureAt = lastFailureAt || new Date(attempt.created_at);
+    }
+    if (failures < maxAttempts) return null;
+
+    const lockSeconds = Math.min(baseLockSeconds * 2 ** (failures - maxAttempts), maxLockSeconds);
+    const lockedUntil = new Date(lastFailureAt.getTime() + lockSeconds * 1000);
+    return lockedUntil > new Date() ? lockedUntil : null;
+};
+
+const sendLockedResponse = (res, lockedUntil) => {
+    res.set('Retry-After', String(Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1)));
+    res.status(429).json({ message: 'Too many failed login attempts. Please try again later.', retryAt: lockedUntil });
+};
+
+// Unknown identifiers are checked against this hash so they take as long as a wrong password
+let dummyPasswordHash = null;
+const getDummyPasswordHash = async () => {
+    if (!dummyPasswordHash) dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyPasswordHash;
+};
+
+// Finishes a login once every factor has been checked: records it and opens a session
+const completeLogin = async (client, user, identifier, req) => {
+    await client.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    await recordLoginAttempt(client, req, { userId: user.id, identifier, success: true });
+    delete user.password_hash;
+    const tokens = await createSession(client, user.id, req);
+    return { user, ...tokens };
+};
+
+// --- Audit Log ---
+
+// Lists the values that differ between two records as `{ path: { from, to } }`; nested objects are compared key by key
+function diffObjects(before, after, path = '') {
+    if (isObject(before) && isObject(after)) {
+        const changes = {};
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            Object.assign(changes, diffObjects(before[key], after[key], path ? `${path}.${key}` : key));
+        }
+        return changes;
+    }
+    const from = before === undefined ? null : before;
+    const to = after === undefined ? null : after;
+    return canonicalJson(from) === canonicalJson(to) ? {} : { [path]: { from, to } };
+}
+
+// JSON with object keys sorted, so values read back from JSONB (which reorders keys) compare equal
+const canonicalJson = (value) => JSON.stringify(value, (key, item) => (
+    isObject(item) ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) : item
+));
+
+// Records an admin mutation in the audit log, on the mutation's own transaction so the entry is only kept if the change is
+const recordAudit = (client, req, { action, targetType, targetId = null, before = null, after = null }) => client.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, changes, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+        req.userId, action, targetType, targetId === null ? null : String(targetId),
+        JSON.stringify(diffObjects(before || {}, after || {})), req.ip, (req.headers['user-agent'] || '').slice(0, 255)
+    ]
+);
+
+const authMiddleware = async (req, res, next) => {
+    const token = req.headers.authorization;
+    if (!token) {
+        return res.status(401).json({ message: 'No token provided' });
+    }
+    let auth;
+    try {
+        auth = await getAuthFromToken(token);
+    } catch (error) {
+        console.error('Token verification error:', error);
+        return res.status(500).json({ message: 'An internal server error occurred' });
+    }
+    if (!auth) {
+        return res.status(401).json({ message: 'Invalid token' });
+    }
+    req.userId = auth.userId;
+    req.sessionId = auth.sessionId;
+    next();
+};
+
+const adminMiddleware = async (req, res, next) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT is_admin FROM users WHERE id = $1', [req.userId]);
+        if (userRes.rows.length === 0 || !userRes.rows[0].is_admin) {
+            return res.status(403).json({ message: 'Admin access required' });
+        }
+        const settings = await getSettings(client);
+        const requireTwoFactor = settings.security?.requireAdminTwoFactor ?? defaultSettings.security.requireAdminTwoFactor;
+        if (requireTwoFactor && !(await isTwoFactorEnabled(client, req.userId))) {
+            return res.status(403).json({ message: 'Enable two-factor authentication to use admin features.', twoFactorSetupRequired: true });
+        }
+        next();
+    } catch (err) {
+        res.status(500).json({ message: 'Error checking admin status' });
+    } finally {
+        client.release();
+    }
+};
+
+// --- Analytics ---
+
+// Visitors are counted by an HMAC of IP and user agent under a random salt that changes every
+// UTC day. Old salts are deleted, so a visitor cannot be followed from one day to the next and
+// neither the raw IP nor the user agent is ever stored.
+let visitorSaltCache = { day: null, salt: null };
+
+const getVisitorSalt = async (day) => {
+    if (visitorSaltCache.day !== day) {
+        await pool.query(
+            'INSERT INTO analytics_salts (day, salt) VALUES ($1, $2) ON CONFLICT (day) DO NOTHING',
+            [day, crypto.randomBytes(32).toString('hex')]
+        );
+        const result = await pool.query('SELECT salt FROM analytics_salts WHERE day = $1', [day]);
+        await pool.query('DELETE FROM analytics_salts WHERE day < $1', [day]);
+        visitorSaltCache = { day, salt: result.rows[0].salt };
+    }
+    return visitorSaltCache.salt;
+};
+
+const getVisitorHash = async (req, day) => {
+    const salt = await getVisitorSalt(day);
+    return crypto.createHmac('sha256', salt).update(`${req.ip}|${req.get('user-agent') || ''}`).digest('hex');
+};
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+
+// Do Not Track, Global Privacy Control and crawlers are not counted
+const shouldTrackPageView = (req) => {
+    const userAgent = req.get('user-agent');
+    return Boolean(userAgent) && !BOT_USER_AGENT.test(userAgent) && req.get('dnt') !== '1' && req.get('sec-gpc') !== '1';
+};
+
+// The path without query string or fragment, which can carry tokens and personal data
+const normalizePageViewPath = (path) => {
+    if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//')) return null;
+    return path.split(/[?#]/)[0].slice(0, 255);
+};
+
+const referrerHost = (referrer) => {
+    if (typeof referrer !== 'string' || !referrer) return null;
+    try {
+        return new URL(referrer).hostname.slice(0, 255) || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const ANALYTICS_MAX_DAYS = 731;
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Reads `from`, `to` (inclusive UTC days) and `interval`, defaulting to the last 30 days. Weekly buckets
+// start on Monday, so the first and last may extend past the range; only days inside it are counted.
+const parseAnalyticsRange = (query) => {
+    const interval = query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+        return { error: { field: 'interval', message: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}.` } };
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(query[field]) || isNaN(Date.parse(query[field])))) {
+            return { error: { field, message: `${field} must be a date (YYYY-MM-DD).` } };
+        }
+    }
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    const from = query.from || addDays(to, -(ANALYTICS_DEFAULT_DAYS - 1));
+    const days = daysBetween(from, to) + 1;
+    if (days < 1) {
+        return { error: { field: 'from', message: 'from must not be after to.' } };
+    }
+    if (days > ANALYTICS_MAX_DAYS) {
+        return { error: { field: 'from', message: `The range can cover at most ${ANALYTICS_MAX_DAYS} days.` } };
+    }
+
+    const buckets = [];
+    if (interval === 'week') {
+        const weekday = (new Date(from).getUTCDay() + 6) % 7;
+        for (let day = addDays(from, -weekday); day <= to; day = addDays(day, 7)) buckets.push(day);
+    } else {
+        for (let day = from; day <= to; day = addDays(day, 1)) buckets.push(day);
+    }
+    return { from, to, interval, buckets };
+};
+
+// The bucket a timestamp column falls in; queries pass the interval as $3
+const analyticsBucket = (column) => `to_char(date_trunc($3, ${column} AT TIME ZONE 'UTC'), 'YYYY-MM-DD')`;
+
+// Turns `{ bucket, ... }` rows into one zero-filled series per key, aligned with `buckets`
+const groupSeries = (buckets, rows, keyOf, valueOf) => {
+    const index = new Map(buckets.map((bucket, i) => [bucket, i]));
+    const series = {};
+    for (const row of rows) {
+        if (!index.has(row.bucket)) continue;
+        const key = keyOf(row);
+        if (!series[key]) series[key] = buckets.map(() => 0);
+        series[key][index.get(row.bucket)] += valueOf(row);
+    }
+    return series;
+};
+
+const toSeries = (buckets, rows, valueOf) => groupSeries(buckets, rows, () => 'all', valueOf).all || buckets.map(() => 0);
+
+const sumSeries = (buckets, series) => buckets.map((bucket, i) => Object.values(series).reduce((sum, values) => sum + values[i], 0));
+
+// --- Rate Limiting ---
+
+// Rate limit stores count hits per key in fixed windows:
+//   hit(key, windowMs) => Promise<{ count, resetAt: Date }>
+// The memory store is per process; the Postgres store shares counters between instances.
+const createMemoryRateLimitStore = () => {
+    const windows = new Map();
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        hit: async (key, windowMs) => {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: new Date(window.resetAt) };
+        },
+        sweep: async () => {}
+    };
+};
+
+const createPostgresRateLimitStore = () => ({
+    hit: async (key, windowMs) => {
+        const result = await pool.query(
+            `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+             ON CONFLICT (key) DO UPDATE SET
+                 count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+                 reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN $2 ELSE rate_limits.reset_at END
+             RETURNING count, reset_at`,
+            [key, new Date(Date.now() + windowMs)]
+        );
+        return { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at) };
+    },
+    sweep: () => pool.query('DELETE FROM rate_limits WHERE reset_at < CURRENT_TIMESTAMP')
+});
+
+const rateLimitStoreName = process.env.RATE_LIMIT_STORE || 'memory';
+if (rateLimitStoreName !== 'memory' && rateLimitStoreName !== 'postgres') {
+    console.warn(`متغير البيئة RATE_LIMIT_STORE="${rateLimitStoreName}" غير معروف. سيتم استخدام الذاكرة المحلية.`);
+}
+const rateLimitStore = rateLimitStoreName === 'postgres' ? createPostgresRateLimitStore() : createMemoryRateLimitStore();
+
+// Limits are read from the settings document, at most every RATE_LIMIT_SETTINGS_TTL_MS
+const RATE_LIMIT_SETTINGS_TTL_MS = 30 * 1000;
+let rateLimitSettingsCache = { limits: defaultSettings.rateLimits, loadedAt: 0 };
+
+const getRateLimits = async () => {
+    if (Date.now() - rateLimitSettingsCache.loadedAt > RATE_LIMIT_SETTINGS_TTL_MS) {
+        const client = await pool.connect();
+        try {
+            const settings = await getSettings(client);
+            rateLimitSettingsCache = { limits: { ...defaultSettings.rateLimits, ...(settings.rateLimits || {}) }, loadedAt: Date.now() };
+        } finally {
+            client.release();
+        }
+    }
+    return rateLimitSettingsCache.limits;
+};
+
+// Enforces the `settings.rateLimits[name]` limit ({ windowSeconds, max, keyBy: 'ip' | 'user' }); per-user
+// limits must run after authMiddleware. If the store fails, requests are let through rather than locking everyone out.
+const rateLimit = (name) => async (req, res, next) => {
+    let result;
+    let limit;
+    try {
+        limit = (await getRateLimits())[name];
+        if (!limit || !limit.max) return next();
+        const subject = limit.keyBy === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+        result = await rateLimitStore.hit(`${name}:${subject}`, limit.windowSeconds * 1000);
+    } catch (error) {
+        console.error(`Rate limiter "${name}" failed; allowing request:`, error);
+        return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+    res.set({
+        'RateLimit-Policy': `${limit.max};w=${limit.windowSeconds}`,
+        'RateLimit-Limit': String(limit.max),
+        'RateLimit-Remaining': String(Math.max(limit.max - result.count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+    if (result.count > limit.max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ message: 'Too many requests. Please try again later.', retryAfter: resetSeconds });
+    }
+    next();
+};
+
+// --- AI Providers ---
+
+// AI providers implement one method per capability; every method receives the model to use:
+//   generateText({ model, systemInstruction, prompt }) => Promise<{ text }>
+//   streamText({ model, systemInstruction, prompt }) => AsyncIterable<string>
+//   generateImage({ model, prompt, aspectRatio?, imageSize? }) => Promise<{ data: Buffer, mimeType }>
+//   editImage({ model, prompt, image: { data: base64, mimeType } }) => Promise<{ data: Buffer, mimeType }>
+//   generateSpeech({ model, text, voice? }) => Promise<{ data: Buffer, mimeType }>
+const createGeminiProvider = (client) => {
+    const findInlineData = (response) => {
+        const part = response.candidates?.[0]?.content?.parts?.find(p => p.inlineData);
+        if (!part) throw new Error('The model did not return any media.');
+        return part.inlineData;
+    };
+    const textRequest = ({ model, systemInstruction, prompt }) => ({
+        model,
+        contents: prompt,
+        ...(systemInstruction ? { config: { systemInstruction } } : {})
+    });
+
+    return {
+        name: 'gemini',
+        generateText: async (options) => {
+            const response = await client.models.generateContent(textRequest(options));
+            return { text: response.text };
+        },
+        streamText: async function* (options) {
+            const stream = await client.models.generateContentStream(textRequest(options));
+            for await (const chunk of stream) {
+                if (chunk.text) yield chunk.text;
+            }
+        },
+        generateImage: async ({ model, prompt, aspectRatio, imageSize }) => {
+            const config = { numberOfImages: 1 };
+            if (aspectRatio) config.aspectRatio = aspectRatio;
+            if (imageSize) config.imageSize = imageSize;
+            const response = await client.models.generateImages({ model, prompt, config });
+            const image = response.generatedImages[0].image;
+            return { data: Buffer.from(image.imageBytes, 'base64'), mimeType: image.mimeType || 'image/png' };
+        },
+        editImage: async ({ model, prompt, image }) => {
+            const response = await client.models.generateContent({
+                model,
+                contents: [{ parts: [{ inlineData: { data: image.data, mimeType: image.mimeType } }, { text: prompt }] }]
+            });
+            const inlineData = findInlineData(response);
+            return { data: Buffer.from(inlineData.data, 'base64'), mimeType: inlineData.mimeType || 'image/png' };
+        },
+        generateSpeech: async ({ model, text, voice }) => {
+            const response = await client.models.generateContent({
+                model,
+                contents: [{ parts: [{ text }] }],
+                config: {
+                    responseModalities: [Modality.AUDIO],
+                    ...(voice ? { speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } } } : {})
+                }
+            });
+            const inlineData = findInlineData(response);
+            return { data: Buffer.from(inlineData.data, 'base64'), mimeType: inlineData.mimeType || 'audio/L16;codec=pcm;rate=24000' };
+        }
+    };
+};
+
+const crc32 = (buffer) => {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ -1) >>> 0;
+};
+
+// A solid-colour PNG whose colour is derived from `seed`, so the same prompt always gives the same image
+const createPlaceholderPng = (seed, size = 256) => {
+    const [red, green, blue] = crypto.createHash('sha256').update(seed).digest();
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolour RGB
+    const row = Buffer.alloc(1 + size * 3);
+    for (let x = 0; x < size; x++) {
+        row[1 + x * 3] = red;
+        row[2 + x * 3] = green;
+        row[3 + x * 3] = blue;
+    }
+    const pixels = zlib.deflateSync(Buffer.concat(Array(size).fill(row)));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', pixels),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+// Deterministic offline provider (placeholder images, silent audio, canned text), so the backend runs without API_KEY
+const createMockProvider = () => {
+    const cannedText = ({ model, prompt }) => `[mock ${model}] ${String(prompt || '').slice(0, 200)}`;
+    return {
+        name: 'mock',
+        generateText: async (options) => ({ text: cannedText(options) }),
+        streamText: async function* (options) {
+            for (const word of cannedText(options).split(/(?<= )/)) {
+                yield word;
+            }
+        },
+        generateImage: async ({ model, prompt }) => ({ data: createPlaceholderPng(`${model}:${prompt}`), mimeType: 'image/png' }),
+        editImage: async ({ model, prompt, image }) => ({ data: createPlaceholderPng(`${model}:${prompt}:${image.data.length}`), mimeType: 'image/png' }),
+        generateSpeech: async ({ text }) => {
+            // 60ms of silence per character, capped at 10 seconds of 24kHz 16-bit mono PCM
+            const seconds = Math.min(String(text || '').length * 0.06, 10);
+            return { data: Buffer.alloc(Math.round(seconds * 24000) * 2), mimeType: 'audio/L16;codec=pcm;rate=24000' };
+        }
+    };
+};
+
+const aiProviders = { mock: createMockProvider() };
+if (ai) {
+    aiProviders.gemini = createGeminiProvider(ai);
+}
+if (process.env.AI_PROVIDER === 'mock') {
+    aiInitializationError = null;
+    console.warn('AI_PROVIDER=mock: ستعيد جميع أدوات الذكاء الاصطناعي مخرجات تجريبية ثابتة.');
+}
+
+// Resolves the provider and model of a tool from `settings.ai.tools`; AI_PROVIDER overrides every provider
+const resolveAiRoute = (tool, settings) => {
+    const configured = settings.ai?.tools?.[tool] || defaultSettings.ai.tools[tool];
+    const provider = process.env.AI_PROVIDER || configured.provider;
+    if (!aiProviders[provider]) {
+        throw new Error(`AI provider "${provider}" is not available.`);
+    }
+    return { provider, model: configured.model };
+};
+
+// --- AI Operations ---
+
+// Maps a client payload to a tool and its inputs, or null if unsupported. Payloads may name the tool directly;
+// the Gemini-shaped payloads the frontend sends to the generic proxy are still understood.
+const normalizeAiRequest = (payload) => {
+    if (!isObject(payload)) return null;
+
+    switch (payload.type) {
+        case 'image-generate':
+        case 'generateImages':
+            return { tool: 'image-generate', prompt: payload.prompt, aspectRatio: payload.aspectRatio ?? payload.config?.aspectRatio, imageSize: payload.imageSize ?? payload.config?.imageSize };
+        case 'image-edit':
+            return { tool: 'image-edit', prompt: payload.prompt, image: payload.image };
+        case 'text-to-speech':
+            return { tool: 'text-to-speech', text: payload.text, voice: payload.voice };
+        case 'rewrite':
+            return { tool: 'rewrite', text: payload.text, style: payload.style };
+        case 'generate-tweets':
+            return { tool: 'generate-tweets', idea: payload.idea };
+        case 'generateContent': {
+            const parts = payload.contents?.[0]?.parts ?? [];
+            if (!Array.isArray(parts)) {
+                return { error: { field: 'contents', message: 'contents[0].parts must be an array.' } };
+            }
+            const objectParts = parts.filter(isObject);
+            const textPart = objectParts.find(part => typeof part.text === 'string')?.text;
+            const imagePart = objectParts.find(part => part.inlineData)?.inlineData;
+            if (payload.model === 'gemini-2.5-flash-image') {
+                return { tool: 'image-edit', prompt: textPart, image: imagePart };
+            }
+            if (payload.model === 'gemini-2.5-flash-preview-tts') {
+                return { tool: 'text-to-speech', text: textPart, voice: payload.config?.speechConfig?.voiceConfig?.prebuiltVoiceConfig?.voiceName };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+};
+
+const REWRITE_INSTRUCTIONS = {
+    'simplify': "You are an expert content editor. Rewrite the following text to make it simpler and easier to understand, as if explaining it to a high school student. Maintain the core message.",
+    'summarize': "You are a skilled summarizer. Condense the following text into its most essential points. The result should be significantly shorter but capture the main idea.",
+    'expand': "You are a creative writer. Expand on the following text, adding more detail, examples, and descriptive language to make it longer and more comprehensive.",
+    'professional': "You are a professional business writer. Rewrite the following text in a formal, corporate tone. Use professional vocabulary and a structured format.",
+    'points': "You are a content organizer. Convert the main ideas of the following text into a clear, concise bulleted list. Each point should be easy to scan."
+};
+
+const SPEECH_VOICES = [
+    'Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Leda', 'Orus', 'Aoede', 'Callirrhoe', 'Autonoe',
+    'Enceladus', 'Iapetus', 'Umbriel', 'Algieba', 'Despina', 'Erinome', 'Algenib', 'Rasalgethi', 'Laomedeia', 'Achernar',
+    'Alnilam', 'Schedar', 'Gacrux', 'Pulcherrima', 'Achird', 'Zubenelgenubi', 'Vindemiatrix', 'Sadachbia', 'Sadaltager', 'Sulafat'
+];
+
+// The fields each AI tool accepts; anything else in a payload is dropped before it reaches the provider
+const AI_TOOL_SCHEMAS = {
+    'image-generate': {
+        prompt: { type: 'string', required: true, maxLength: 2000 },
+        aspectRatio: { type: 'string', values: ['1:1', '3:4', '4:3', '9:16', '16:9'] },
+        imageSize: { type: 'string', values: ['1K', '2K'] }
+    },
+    'image-edit': {
+        prompt: { type: 'string', required: true, maxLength: 2000 },
+        image: { type: 'image', required: true, mimeTypes: ['image/png', 'image/jpeg', 'image/webp'], maxBytes: 7 * 1024 * 1024 }
+    },
+    'text-to-speech': {
+        text: { type: 'string', required: true, maxLength: 5000 },
+        voice: { type: 'string', values: SPEECH_VOICES }
+    },
+    'rewrite': {
+        text: { type: 'string', required: true, maxLength: 10000 },
+        style: { type: 'string', required: true, values: Object.keys(REWRITE_INSTRUCTIONS) }
+    },
+    'generate-tweets': {
+        idea: { type: 'string', required: true, maxLength: 1000 }
+    }
+};
+
+// Identifies an image by its magic bytes, so the declared MIME type can be checked
+const detectImageMimeType = (buffer) => {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+};
+
+// Checks one field of an AI request against its schema entry
+const validateAiField = (field, value, spec) => {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+        return spec.required ? { field, message: `${field} is required.` } : null;
+    }
+
+    if (spec.type === 'string') {
+        if (typeof value !== 'string') {
+            return { field, message: `${field} must be a string.` };
+        }
+        if (spec.maxLength && value.length > spec.maxLength) {
+            return { field, message: `${field} must be at most ${spec.maxLength} characters long.` };
+        }
+        if (spec.values && !spec.values.includes(value)) {
+            return { field, message: `${field} must be one of: ${spec.values.join(', ')}.` };
+        }
+        return null;
+    }
+
+    // Images are sent as { data: base64, mimeType }
+    if (!isObject(value)) {
+        return { field, message: `${field} must be an object with data and mimeType.` };
+    }
+    if (!spec.mimeTypes.includes(value.mimeType)) {
+        return { field: `${field}.mimeType`, message: `${field}.mimeType must be one of: ${spec.mimeTypes.join(', ')}.` };
+    }
+    if (typeof value.data !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(value.data)) {
+        return { field: `${field}.data`, message: `${field}.data must be base64-encoded.` };
+    }
+    const bytes = Buffer.from(value.data, 'base64');
+    if (bytes.length > spec.maxBytes) {
+        return { field: `${field}.data`, message: `${field}.data must be at most ${spec.maxBytes / (1024 * 1024)} MB.` };
+    }
+    if (detectImageMimeType(bytes) !== value.mimeType) {
+        return { field: `${field}.data`, message: `${field}.data is not a valid ${value.mimeType} image.` };
+    }
+    return null;
+};
+
+// Normalizes a client payload and validates it against the schema of its tool
+const parseAiRequest = (payload) => {
+    const normalized = normalizeAiRequest(payload);
+    if (!normalized) {
+        return { error: { field: 'type', message: 'Unsupported AI request type.' } };
+    }
+    if (normalized.error) return { error: normalized.error };
+
+    const request = { tool: normalized.tool };
+    for (const [field, spec] of Object.entries(AI_TOOL_SCHEMAS[normalized.tool])) {
+        const error = validateAiField(field, normalized[field], spec);
+        if (error) return { error };
+        const value = normalized[field];
+        if (value === undefined || value === null || value === '') continue;
+        request[field] = spec.type === 'image' ? { data: value.data, mimeType: value.mimeType } : value;
+    }
+    return { request };
+};
+
+// Prices a request from the `settings.pricing.tools` rule of its tool, or returns null. A rule is
+// `{ unit, price, unitSize?, resolutions?, addOns?, minimum?, models? }`:
+//   unit         'request' (one per call), 'character' (ceil(characters / unitSize)),
+//                'image' (per generated image) or 'resolution' (per image, priced by imageSize)
+//   price        points per unit; 'resolution' rules use `resolutions`, e.g. { '1K': 5, '2K': 8 }
+//   addOns       points per unit for optional extras, e.g. { removeWatermark: 10 }
+//   minimum      the lowest total charged
+//   models       per-model overrides of any of the above, keyed by model name
+// Nothing is free by default.
+const priceAiRequest = (request, addOns, settings) => {
+    const toolRule = settings.pricing?.tools?.[request.tool];
+    if (!toolRule) return null;
+    const { provider, model } = resolveAiRoute(request.tool, settings);
+    const rule = { ...toolRule, ...(toolRule.models?.[model] || {}) };
+
+    let quantity;
+    let unitPrice = rule.price;
+    switch (rule.unit) {
+        case 'request':
+            quantity = 1;
+            break;
+        case 'character':
+            quantity = Math.ceil(String(request.text || '').length / (rule.unitSize || 1));
+            break;
+        case 'image':
+            quantity = 1;
+            break;
+        case 'resolution':
+            quantity = 1;
+            unitPrice = rule.resolutions?.[request.imageSize || '1K'];
+            break;
+        default:
+            return null;
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return null;
+
+    const lines = [{ item: rule.unit, quantity, unitPrice, amount: quantity * unitPrice }];
+    for (const addOn of addOns) {
+        const addOnPrice = rule.addOns?.[addOn];
+        if (Number.isFinite(addOnPrice)) {
+            lines.push({ item: addOn, quantity, unitPrice: addOnPrice, amount: quantity * addOnPrice });
+        }
+    }
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (Number.isFinite(rule.minimum) && subtotal < rule.minimum) {
+        lines.push({ item: 'minimum', quantity: 1, unitPrice: rule.minimum - subtotal, amount: rule.minimum - subtotal });
+    }
+
+    return { tool: request.tool, provider, model, unit: rule.unit, lines, total: Math.ceil(lines.reduce((sum, line) => sum + line.amount, 0)) };
+};
+
+// Loads the settings and prices a request; see priceAiRequest
+const quoteAiRequest = async (request, { removeWatermark = false } = {}) => {
+    const client = await pool.connect();
+    let settings;
+    try {
+        settings = await getSettings(client);
+    } finally {
+        client.release();
+    }
+    return priceAiRequest(request, removeWatermark ? ['removeWatermark'] : [], settings);
+};
+
+// Builds pricing rules equivalent to the flat AI costs older settings kept in `settings.costs`
+const pricingFromLegacyCosts = (costs) => {
+    const { imageCreate = 5, imageCreate_noWatermark = 15, imageEdit = 2, imageEdit_noWatermark = 8, textToSpeech = 1, contentRewrite = 1, tweetGenerator = 1, ...otherCosts } = costs;
+    const pricing = {
+        tools: {
+            'image-generate': { unit: 'image', price: imageCreate, addOns: { removeWatermark: Math.max(imageCreate_noWatermark - imageCreate, 0) } },
+            'image-edit': { unit: 'request', price: imageEdit, addOns: { removeWatermark: Math.max(imageEdit_noWatermark - imageEdit, 0) } },
+            'text-to-speech': { unit: 'character', unitSize: 100, price: textToSpeech },
+            'rewrite': { unit: 'request', price: contentRewrite },
+            'generate-tweets': { unit: 'request', price: tweetGenerator }
+        }
+    };
+    return { pricing, costs: otherCosts };
+};
+
+// Reserves the quoted cost of an AI request, or returns null if the user cannot afford it
+const reserveAiOperation = async (userId, request, quote) => {
+    const { provider, model } = quote;
+    const hold = await reservePoints(userId, quote.total, { type: request.tool, provider, model, lines: quote.lines });
+    if (!hold) return null;
+    return { hold, historyEntry: { type: request.tool, provider, model, style: request.style, prompt: getPromptText(request) } };
+};
+
+// Instructions and prompt for the text tools (rewrite and tweet generator)
+const buildTextRequest = (request) => {
+    if (request.tool === 'rewrite') {
+        const systemInstruction = REWRITE_INSTRUCTIONS[request.style];
+        return { systemInstruction, prompt: request.text };
+    }
+    const prompt = `Based on the topic "${request.idea}", generate 3-5 engaging and distinct tweets. Each tweet should be concise, include relevant hashtags, and have a different angle (e.g., a question, a surprising fact, a call to action). Format the output clearly, separating each tweet.`;
+    return { prompt };
+};
+
+const writeSseEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Calls the provider chosen at reservation time, with no database connection held; images and audio become assets
+const executeAiOperation = async (userId, request, { provider: providerName, model }) => {
+    const provider = aiProviders[providerName];
+    if (!provider) {
+        throw new Error(`AI provider "${providerName}" is not available.`);
+    }
+    const storeResult = async (data, mimeType) => {
+        const asset = await saveAsset(userId, data, mimeType);
+        return { assetId: asset.id, mimeType: asset.mimeType };
+    };
+
+    switch (request.tool) {
+        case 'image-generate': {
+            const image = await provider.generateImage({ model, prompt: request.prompt, aspectRatio: request.aspectRatio, imageSize: request.imageSize });
+            return storeResult(image.data, image.mimeType);
+        }
+        case 'image-edit': {
+            const image = await provider.editImage({ model, prompt: request.prompt, image: request.image });
+            return storeResult(image.data, image.mimeType);
+        }
+        case 'text-to-speech': {
+            const audio = await provider.generateSpeech({ model, text: request.text, voice: request.voice });
+            return /L16|pcm/i.test(audio.mimeType) ? storeResult(pcmToWav(audio.data, audio.mimeType), 'audio/wav') : storeResult(audio.data, audio.mimeType);
+        }
+        case 'rewrite':
+        case 'generate-tweets': {
+            const { text } = await provider.generateText({ model, ...buildTextRequest(request) });
+            return { text };
+        }
+        default:
+            throw new Error(`Unsupported AI tool: ${request.tool}`);
+    }
+};
+
+// Charges a successful operation and records it in the history
+const completeAiOperation = async (userId, { hold, historyEntry }, aiResult, durationMs) => {
+    const entry = { ...historyEntry, assetId: aiResult.assetId, resultText: aiResult.text, durationMs };
+    let settlement = await settlePointsHold(hold.id, entry);
+    if (!settlement) {
+        console.warn(`Points hold ${hold.id} of user ${userId} expired before it could be settled; charging the balance instead.`);
+        settlement = await settleExpiredPointsHold(hold.id, entry);
+    }
+    await qualifyReferralAfter(userId, 'ai_use');
+    if (settlement) return settlement;
+
+    // The hold was closed some other way (it cannot normally be), so there is nothing left to charge
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return { user: userRes.rows[0], historyId: null };
+};
+
+// Returns the reserved points and records the failed attempt in the history
+const failAiOperation = ({ hold, historyEntry }, error, durationMs) =>
+    releasePointsHold(hold.id, { ...historyEntry, durationMs, errorMessage: error.message });
+
+// Adds a signed URL to results that reference a stored asset
+const withAssetUrl = (req, aiResult) => (aiResult && aiResult.assetId ? { ...aiResult, ...buildAssetUrl(req, aiResult.assetId) } : aiResult);
+
+// --- AI Job Queue ---
+
+const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const JOB_STALE_AFTER_MS = 2 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 3;
+const instanceId = crypto.randomUUID();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const getJobCategory = (request) => {
+    if (request.tool === 'image-generate' || request.tool === 'image-edit') return 'image';
+    if (request.tool === 'text-to-speech') return 'speech';
+    return 'text';
+};
+
+// In-process queue that runs at most `concurrency[category]` jobs of each category at once.
+// It only tracks ids; the job state itself lives in the ai_jobs table.
+const createJobQueue = (handler, concurrency) => {
+    let limits = { ...concurrency };
+    const pending = {};
+    const running = {};
+    const active = new Set();
+
+    const pump = (category) => {
+        const limit = Math.max(parseInt(limits[category], 10) || 1, 1);
+        while ((running[category] || 0) < limit && pending[category]?.length) {
+            const jobId = pending[category].shift();
+            running[category] = (running[category] || 0) + 1;
+            handler(jobId)
+                .catch(error => console.error(`AI job ${jobId} crashed:`, error))
+                .finally(() => {
+                    running[category]--;
+                    active.delete(jobId);
+                    pump(category);
+                });
+        }
+    };
+
+    return {
+        enqueue: (jobId, category) => {
+            if (active.has(jobId)) return;
+            active.add(jobId);
+            (pending[category] = pending[category] || []).push(jobId);
+            pump(category);
+        },
+        setConcurrency: (newLimits) => {
+            limits = { ...limits, ...newLimits };
+            Object.keys(pending).forEach(pump);
+        },
+        activeJobIds: () => [...active]
+    };
+};
+
+const publishJob = (job) => jobEvents.emit(`job:${job.id}`, job);
+
+// Runs a queued job: calls the model, settles its points hold and stores the result. Failures release
+// the hold so the user is never charged for a job without a result.
+const runAiJob = async (jobId) => {
+    const startRes = await pool.query(
+        `UPDATE ai_jobs SET status = 'running', progress = 10, attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('queued', 'running') AND locked_by = $2 RETURNING *`,
+        [jobId, instanceId]
+    );
+    const job = startRes.rows[0];
+    if (!job) return;
+    publishJob(job);
+
+    const reservation = { hold: { id: job.hold_id }, historyEntry: job.history_entry };
+    const startedAt = Date.now();
+    try {
+        const aiResult = await executeAiOperation(job.user_id, job.payload, job.history_entry);
+        const { historyId } = await completeAiOperation(job.user_id, reservation, aiResult, Date.now() - startedAt);
+        const doneRes = await pool.query(
+            `UPDATE ai_jobs SET status = 'succeeded', progress = 100, result = $2, history_id = $3, finished_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [jobId, aiResult, historyId]
+        );
+        publishJob(doneRes.rows[0]);
+    } catch (error) {
+        console.error(`AI job ${jobId} failed:`, error);
+        await failAiOperation(reservation, error, Date.now() - startedAt).catch(releaseError => console.error('Failed to release points hold:', releaseError));
+        const failRes = await pool.query(
+            `UPDATE ai_jobs SET status = 'failed', error_message = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+            [jobId, String(error.message || 'AI generation failed').slice(0, 500)]
+        );
+        publishJob(failRes.rows[0]);
+    }
+};
+
+const jobQueue = createJobQueue(runAiJob, defaultSettings.jobs.concurrency);
+
+// Keeps this instance's jobs alive and adopts jobs whose instance stopped heartbeating, e.g. jobs that were
+// mid-flight when the server restarted. Adopted jobs are retried until MAX_JOB_ATTEMPTS, then failed
+// with their points released.
+const recoverAiJobs = async () => {
+    if (!pool) return;
+    const activeIds = jobQueue.activeJobIds();
+    if (activeIds.length > 0) {
+        await pool.query('UPDATE ai_jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = ANY($1::uuid[]) AND locked_by = $2', [activeIds, instanceId]);
+    }
+
+    const staleRes = await pool.query(
+        `UPDATE ai_jobs SET locked_by = $1, heartbeat_at = CURRENT_TIMESTAMP, status = 'queued'
+         WHERE status IN ('queued', 'running') AND heartbeat_at < $2 RETURNING *`,
+        [instanceId, new Date(Date.now() - JOB_STALE_AFTER_MS)]
+    );
+    for (const job of staleRes.rows) {
+        if (job.attempts >= MAX_JOB_ATTEMPTS) {
+            const error = new Error('The job was interrupted too many times.');
+            await failAiOperation({ hold: { id: job.hold_id }, historyEntry: job.history_entry }, error, null);
+            const failRes = await pool.query(
+                "UPDATE ai_jobs SET status = 'failed', error_message = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+                [job.id, error.message]
+            );
+            publishJob(failRes.rows[0]);
+        } else {
+            console.log(`Recovering interrupted AI job ${job.id}.`);
+            jobQueue.enqueue(job.id, job.category);
+        }
+    }
+};
+
+// Shape of a job as returned to its owner
+const serializeJob = (req, job) => ({
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    type: job.payload?.tool,
+    result: job.status === 'succeeded' ? withAssetUrl(req, job.result) : null,
+    error: job.error_message,
+    historyId: job.history_id,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+});
+
+// --- API Endpoints ---
+
+// Registration
+app.post('/api/register', rateLimit('register'), async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable for registration" });
+
+    const { username, email, password, country, referralCode, timezone } = req.body;
+    
+    if (!username || !email || !password) {
+        return res.status(400).json({ message: 'Username, email, and password are required.' });
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({ field: 'timezone', message: 'timezone must be an IANA time zone such as "Africa/Cairo".' });
+    }
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const settings = await getSettings(client);
+
+        const policyError = checkPasswordPolicy(password, settings);
+        if (policyError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: policyError });
+        }
+
+        // Check if email or username exists
+        const emailExists = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+        if (emailExists.rows.length > 0) {
+            return res.status(409).json({ message: 'Email already exists.' });
+        }
+        const usernameExists = await client.query('SELECT id FROM users WHERE username = $1', [username]);
+        if (usernameExists.rows.length > 0) {
+            return res.status(409).json({ message: 'Username already exists.' });
+        }
+        
+        let initialPoints = settings.costs.newUserPoints || 10;
+        let referrerId = null;
+
+        // Handle referral logic
+        if (referralCode) {
+            const referrerResult = await client.query('SELECT id FROM users WHERE referral_code = $1', [referralCode]);
+            if (referrerResult.rows.length > 0) {
+                referrerId = referrerResult.rows[0].id;
+            }
+        }
+
+
+        const hashedPassword = await hashPassword(password);
+        const newReferralCode = crypto.randomBytes(8).toString('hex');
+        
+        // Determine if this user should be an admin (first registered user)
+        const userCountResult = await client.query('SELECT COUNT(*) FROM users');
+        const isAdmin = parseInt(userCountResult.rows[0].count, 10) === 0;
+        
+        if(isAdmin) {
+             initialPoints = 10000; // Give admin a lot of points
+        }
+        
+        // Insert new user; the starting balance is credited through the ledger below
+        const insertUserQuery = 'INSERT INTO users (username, email, password_hash, country, timezone, is_admin, points, referral_code, referrer_id) VALUES ($1, $2, $3, $4, $5, $6, 0, $7, $8) RETURNING *';
+        const insertUserValues = [username, email, hashedPassword, country, timezone || null, isAdmin, newReferralCode, referrerId];
+        const newUserResult = await client.query(insertUserQuery, insertUserValues);
+        const newUser = await changePoints(client, newUserResult.rows[0].id, initialPoints, 'signup_bonus');
+
+        // The referral bonus is paid once the new user qualifies (see qualifyReferral)
+        if (referrerId) {
+            await recordReferral(client, { referrerId, refereeId: newUser.id, email, ip: req.ip }, settings);
+        }
+
+        const tokens = await createSession(client, newUser.id, req);
+
+        await client.query('COMMIT');
+
+        try {
+            const verificationToken = await createEmailToken(client, newUser.id, 'verify_email', newUser.email);
+            await sendEmailTokenLink('verify_email', newUser.email, verificationToken);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError);
+        }
+        
+        delete newUser.password_hash;
+        res.status(201).json({ user: newUser, ...tokens });
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Registration error:', error);
+        // Send detailed error for diagnostics
+        res.status(500).json({ message: 'An internal server error occurred during registration', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Login; accounts with two-factor authentication get a challenge token to complete at /api/auth/2fa/verify
+app.post('/api/login', rateLimit('login'), async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const { identifier, password } = req.body; // identifier can be email or username
+    if (!identifier || !password) {
+        return res.status(400).json({ message: 'Identifier and password are required.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const settings = await getSettings(client);
+        const query = 'SELECT * FROM users WHERE (email = $1 OR username = $1) AND status = \'active\'';
+        const result = await client.query(query, [identifier]);
+        const user = result.rows[0];
+        const attempt = { userId: user ? user.id : null, identifier };
+
+        const lockedUntil = await getLockedUntil(client, attempt, settings);
+        if (lockedUntil) {
+            await recordLoginAttempt(client, req, { ...attempt, success: false, failureReason: 'locked' });
+            return sendLockedResponse(res, lockedUntil);
+        }
+
+        // Unknown accounts and wrong passwords get the same response so identifiers cannot be probed
+        const { valid, needsRehash } = await verifyPassword(password, user ? user.password_hash : await getDummyPasswordHash());
+        if (!user || !valid) {
+            await recordLoginAttempt(client, req, { ...attempt, success: false, failureReason: 'invalid_credentials' });
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+
+        // Transparently upgrade legacy or outdated password hashes
+        if (needsRehash) {
+            await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+        }
+
+        if (await isTwoFactorEnabled(client, user.id)) {
+            await recordLoginAttempt(client, req, { ...attempt, success: false, failureReason: 'two_factor_pending' });
+            const now = Math.floor(Date.now() / 1000);
+            const challengeToken = signJwt({ sub: user.id, idf: String(identifier), typ: '2fa_challenge', iat: now, exp: now + TWO_FACTOR_CHALLENGE_TTL_SECONDS });
+            return res.json({ twoFactorRequired: true, challengeToken, expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS });
+        }
+
+        res.json(await completeLogin(client, user, identifier, req));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Complete a login with a TOTP code or a recovery code
+app.post('/api/auth/2fa/verify', rateLimit('login'), async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const claims = verifyJwt(challengeToken);
+    if (!claims || claims.typ !== '2fa_challenge') {
+        return res.status(401).json({ message: 'Invalid or expired login challenge. Please log in again.' });
+    }
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ field: 'code', message: 'code or recoveryCode is required.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const settings = await getSettings(client);
+        const userRes = await client.query('SELECT * FROM users WHERE id = $1 AND status = \'active\'', [claims.sub]);
+        const user = userRes.rows[0];
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired login challenge. Please log in again.' });
+        }
+        const attempt = { userId: user.id, identifier: claims.idf };
+
+        const lockedUntil = await getLockedUntil(client, attempt, settings);
+        if (lockedUntil) {
+            await recordLoginAttempt(client, req, { ...attempt, success: false, failureReason: 'locked' });
+            return sendLockedResponse(res, lockedUntil);
+        }
+
+        const method = await verifySecondFactor(client, user.id, { code, recoveryCode });
+        if (!method) {
+            await recordLoginAttempt(client, req, { ...attempt, success: false, failureReason: 'invalid_two_factor' });
+            return res.status(401).json({ message: 'Invalid authentication code.' });
+        }
+
+        const login = await completeLogin(client, user, claims.idf, req);
+        if (method === 'recovery_code') {
+            const remainingRes = await client.query('SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+            login.recoveryCodesRemaining = parseInt(remainingRes.rows[0].count, 10);
+        }
+        res.json(login);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Refresh access token (rotates the refresh token)
+app.post('/api/auth/refresh', async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+        // Matching on the old hash makes rotation atomic: a replayed token finds no row.
+        const result = await client.query(
+            `UPDATE user_sessions
+             SET refresh_token_hash = $1, last_used_at = CURRENT_TIMESTAMP, ip_address = $3, expires_at = $4
+             WHERE refresh_token_hash = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+               AND user_id IN (SELECT id FROM users WHERE status = 'active')
+             RETURNING id, user_id`,
+            [hashToken(newRefreshToken), hashToken(refreshToken), req.ip, refreshTokenExpiry()]
+        );
+        if (result.rows.length === 0) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+        }
+
+        const session = result.rows[0];
+        res.json({
+            token: createAccessToken(session.user_id, session.id),
+            refreshToken: newRefreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Logout the current session, or every session with { allSessions: true }
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+    const { allSessions } = req.body;
+    const client = await pool.connect();
+    try {
+        const result = allSessions
+            ? await client.query('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL', [req.userId])
+            : await client.query('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL', [req.sessionId]);
+        res.json({ message: 'Logged out successfully.', revokedSessions: result.rowCount });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// List active sessions of the current user
+app.get('/api/users/me/sessions', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at FROM user_sessions
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             ORDER BY last_used_at DESC`,
+            [req.userId]
+        );
+        const sessions = result.rows.map(session => ({ ...session, current: session.id === req.sessionId }));
+        res.json({ sessions });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Revoke a single session of the current user
+app.delete('/api/users/me/sessions/:id', authMiddleware, async (req, res) => {
+    const sessionId = parseIdParam(req.params.id);
+    if (sessionId === null) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+            [sessionId, req.userId]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked.' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Two-factor authentication status of the current user
+app.get('/api/auth/2fa', authMiddleware, async (req, res) => {
+    try {
+        const totpRes = await pool.query('SELECT enabled_at FROM user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL', [req.userId]);
+        const codesRes = await pool.query('SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [req.userId]);
+        res.json({
+            enabled: totpRes.rows.length > 0,
+            enabledAt: totpRes.rows[0]?.enabled_at || null,
+            recoveryCodesRemaining: parseInt(codesRes.rows[0].count, 10)
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    }
+});
+
+// Start two-factor setup: issues a new secret to add to an authenticator app
+app.post('/api/auth/2fa/setup', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        if (await isTwoFactorEnabled(client, req.userId)) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+        const userRes = await client.query('SELECT email FROM users WHERE id = $1', [req.userId]);
+        const settings = await getSettings(client);
+        const secret = base32Encode(crypto.randomBytes(20));
+        await client.query(
+            `INSERT INTO user_totp (user_id, secret) VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE SET secret = $2, last_used_step = NULL, created_at = CURRENT_TIMESTAMP`,
+            [req.userId, secret]
+        );
+        const issuer = settings.content?.siteNameEn || defaultSettings.content.siteNameEn;
+        res.json({ secret, otpauthUrl: getOtpAuthUrl(secret, userRes.rows[0].email, issuer) });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Confirm two-factor setup with a code from the authenticator app; returns the recovery codes once
+app.post('/api/auth/2fa/enable', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const totpRes = await client.query('SELECT secret, enabled_at FROM user_totp WHERE user_id = $1 FOR UPDATE', [req.userId]);
+        const totp = totpRes.rows[0];
+        if (!totp || totp.enabled_at) {
+            await client.query('ROLLBACK');
+            return totp
+                ? res.status(409).json({ message: 'Two-factor authentication is already enabled.' })
+                : res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+        const step = verifyTotp(totp.secret, req.body.code);
+        if (step === null) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ field: 'code', message: 'Invalid authentication code.' });
+        }
+
+        await client.query('UPDATE user_totp SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $1 WHERE user_id = $2', [step, req.userId]);
+        const recoveryCodes = await replaceRecoveryCodes(client, req.userId);
+        await client.query('COMMIT');
+        res.json({ message: 'Two-factor authentication enabled.', recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Turn off two-factor authentication (requires the password and a code or recovery code)
+app.post('/api/auth/2fa/disable', authMiddleware, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT password_hash, is_admin FROM users WHERE id = $1', [req.userId]);
+        const user = userRes.rows[0];
+        if (!(await isTwoFactorEnabled(client, req.userId))) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        const settings = await getSettings(client);
+        if (user.is_admin && (settings.security?.requireAdminTwoFactor ?? defaultSettings.security.requireAdminTwoFactor)) {
+            return res.status(403).json({ message: 'Admin accounts must keep two-factor authentication enabled.' });
+        }
+        const { valid } = await verifyPassword(password, user.password_hash);
+        if (!valid) {
+            return res.status(401).json({ field: 'password', message: 'Password is incorrect.' });
+        }
+        if (!(await verifySecondFactor(client, req.userId, { code, recoveryCode }))) {
+            return res.status(401).json({ field: 'code', message: 'Invalid authentication code.' });
+        }
+
+        await client.query('BEGIN');
+        await client.query('DELETE FROM user_totp WHERE user_id = $1', [req.userId]);
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.userId]);
+        await client.query('COMMIT');
+        res.json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Replace the recovery codes (requires a current authenticator code)
+app.post('/api/auth/2fa/recovery-codes', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        if (!(await isTwoFactorEnabled(client, req.userId))) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await verifySecondFactor(client, req.userId, { code: req.body.code }))) {
+            return res.status(401).json({ field: 'code', message: 'Invalid authentication code.' });
+        }
+        await client.query('BEGIN');
+        const recoveryCodes = await replaceRecoveryCodes(client, req.userId);
+        await client.query('COMMIT');
+        res.json({ recoveryCodes });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Recent login attempts on the current user's account
+app.get('/api/users/me/login-attempts', authMiddleware, async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const cursor = parseInt(req.query.before, 10);
+    try {
+        const result = await pool.query(
+            `SELECT id, ip_address, user_agent, success, failure_reason, created_at
+             FROM login_attempts WHERE user_id = $1 AND ($2::int IS NULL OR id < $2)
+             ORDER BY id DESC LIMIT $3`,
+            [req.userId, isNaN(cursor) ? null : cursor, pageSize]
+        );
+        const attempts = result.rows;
+        res.json({ attempts, nextCursor: attempts.length === pageSize ? attempts[attempts.length - 1].id : null });
+    } catch (error) {
+        console.error('List login attempts error:', error);
+        res.status(500).json({ message: 'Failed to fetch login attempts' });
+    }
+});
+
+// Verify email address (also confirms a pending email change)
+app.post('/api/auth/verify-email', async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const emailToken = await consumeEmailToken(client, req.body.token, 'verify_email');
+        if (!emailToken) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid or expired verification link.' });
+        }
+
+        await qualifyReferral(client, emailToken.user_id, 'email_verified');
+        const result = await client.query(
+            'UPDATE users SET email = $1, email_verified = TRUE WHERE id = $2 RETURNING id, username, email, email_verified, points, country, is_admin',
+            [emailToken.email, emailToken.user_id]
+        );
+        await client.query('COMMIT');
+        res.json({ message: 'Email verified successfully.', user: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // Unique constraint violation
+            return res.status(409).json({ message: 'Email is already in use by another account.' });
+        }
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Resend the verification email for the current address
+app.post('/api/auth/verify-email/resend', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT email, email_verified FROM users WHERE id = $1', [req.userId]);
+        const user = userRes.rows[0];
+        if (user.email_verified) {
+            return res.status(400).json({ message: 'Email is already verified.' });
+        }
+        const verificationToken = await createEmailToken(client, req.userId, 'verify_email', user.email);
+        await sendEmailTokenLink('verify_email', user.email, verificationToken);
+        res.json({ message: 'Verification email sent.' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Failed to send verification email' });
+    } finally {
+        client.release();
+    }
+});
+
+// Request a password reset link
+app.post('/api/auth/forgot-password', rateLimit('passwordReset'), async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const { email } = req.body;
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    // The response is identical whether or not the account exists, so it cannot be used to probe emails
+    const genericResponse = { message: 'If an account with that email exists, a password reset link has been sent.' };
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT id, email FROM users WHERE email = $1 AND status = \'active\'', [email]);
+        if (userRes.rows.length > 0) {
+            const user = userRes.rows[0];
+            const resetToken = await createEmailToken(client, user.id, 'reset_password', user.email);
+            await sendEmailTokenLink('reset_password', user.email, resetToken);
+        }
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.json(genericResponse);
+    } finally {
+        client.release();
+    }
+});
+
+// Reset password with an emailed token
+app.post('/api/auth/reset-password', async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+
+    const { token, password } = req.body;
+    const client = await pool.connect();
+    try {
+        const policyError = checkPasswordPolicy(password, await getSettings(client));
+        if (policyError) {
+            return res.status(400).json({ message: policyError });
+        }
+
+        await client.query('BEGIN');
+        const emailToken = await consumeEmailToken(client, token, 'reset_password');
+        if (!emailToken) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid or expired password reset link.' });
+        }
+
+        await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(password), emailToken.user_id]);
+        await client.query('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL', [emailToken.user_id]);
+        await client.query('COMMIT');
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get current user
+app.get('/api/users/me', authMiddleware, async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT id, username, email, email_verified, points, held_points, country, timezone, is_admin, last_daily_claim, daily_streak, referral_code, referrals FROM users WHERE id = $1', [req.userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const user = result.rows[0];
+        user.two_factor_enabled = await isTwoFactorEnabled(client, req.userId);
+
+        const subscriptionRes = await client.query(
+            `SELECT plan_id, status, current_period_end, cancel_at_period_end FROM subscriptions
+             WHERE user_id = $1 AND status <> 'canceled' ORDER BY id DESC LIMIT 1`,
+            [req.userId]
+        );
+        const subscription = subscriptionRes.rows[0];
+        if (subscription) {
+            const plan = (await getSettings(client)).store.subscriptions.find(p => String(p.id) === subscription.plan_id);
+            user.subscription = {
+                planId: subscription.plan_id,
+                plan: plan || null,
+                status: subscription.status,
+                currentPeriodEnd: subscription.current_period_end,
+                cancelAtPeriodEnd: subscription.cancel_at_period_end
+            };
+        } else {
+            user.subscription = null;
+        }
+        res.json({ user });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Update current user profile
+app.put('/api/users/me', authMiddleware, async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const { email, password, currentPassword, timezone } = req.body;
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return res.status(400).json({ field: 'timezone', message: 'timezone must be an IANA time zone such as "Africa/Cairo".' });
+    }
+    
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT email, password_hash FROM users WHERE id = $1', [req.userId]);
+        const currentUser = userRes.rows[0];
+
+        if (password) {
+            if (!currentPassword) {
+                return res.status(400).json({ message: 'Current password is required to set a new password.' });
+            }
+            const { valid } = await verifyPassword(currentPassword, currentUser.password_hash);
+            if (!valid) {
+                return res.status(401).json({ message: 'Current password is incorrect.' });
+            }
+            const policyError = checkPasswordPolicy(password, await getSettings(client));
+            if (policyError) {
+                return res.status(400).json({ message: policyError });
+            }
+        }
+
+        // A new email address only replaces the current one once its verification link is opened
+        let pendingEmail = null;
+        if (email && email !== currentUser.email) {
+            const emailExists = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+            if (emailExists.rows.length > 0) {
+                return res.status(409).json({ message: 'Email is already in use by another account.' });
+            }
+            const verificationToken = await createEmailToken(client, req.userId, 'verify_email', email);
+            await sendEmailTokenLink('verify_email', email, verificationToken);
+            pendingEmail = email;
+        }
+
+        if (password) {
+            await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(password), req.userId]);
+            // A password change signs out every other device
+            await client.query('UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL', [req.userId, req.sessionId]);
+        }
+
+        if (timezone !== undefined) {
+            await client.query('UPDATE users SET timezone = $1 WHERE id = $2', [timezone, req.userId]);
+        }
+
+        const result = await client.query('SELECT id, username, email, email_verified, points, country, timezone, is_admin FROM users WHERE id = $1', [req.userId]);
+        res.json({ user: result.rows[0], pendingEmail });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ message: 'An internal server error occurred' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get points ledger of the current user
+app.get('/api/users/me/transactions', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        res.json(await listPointsTransactions(client, req.userId, req.query));
+    } catch (error) {
+        console.error('Get transactions error:', error);
+        res.status(500).json({ message: 'Failed to fetch transactions' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get the current user's payments, newest first, for receipts
+app.get('/api/users/me/payments', authMiddleware, async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const cursor = parseInt(req.query.before, 10);
+    try {
+        const result = await pool.query(
+            `SELECT id, checkout_session_id, package_id, points, points_reversed, amount_total, amount_refunded, currency, status, created_at, updated_at
+             FROM payments WHERE user_id = $1 AND ($2::int IS NULL OR id < $2)
+             ORDER BY id DESC LIMIT $3`,
+            [req.userId, isNaN(cursor) ? null : cursor, pageSize]
+        );
+        const payments = result.rows;
+        res.json({ payments, nextCursor: payments.length === pageSize ? payments[payments.length - 1].id : null });
+    } catch (error) {
+        console.error('List payments error:', error);
+        res.status(500).json({ message: 'Failed to fetch payments' });
+    }
+});
+
+// Get the users the current user referred, with the status of each reward
+app.get('/api/users/me/referrals', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            `SELECT r.id, u.username, r.status, r.reject_reason, r.bonus, r.qualified_by, r.created_at, r.rewarded_at
+             FROM referrals r JOIN users u ON u.id = r.referee_id
+             WHERE r.referrer_id = $1 ORDER BY r.id DESC`,
+            [req.userId]
+        );
+        const referrals = result.rows;
+        const { maxRewardsPerReferrer } = getReferralSettings(await getSettings(client));
+        const count = (status) => referrals.filter(r => r.status === status).length;
+        res.json({
+            referrals,
+            summary: {
+                pending: count('pending'),
+                rewarded: count('rewarded'),
+                rejected: count('rejected'),
+                pointsEarned: referrals.filter(r => r.status === 'rewarded').reduce((sum, r) => sum + r.bonus, 0),
+                cap: maxRewardsPerReferrer || null
+            }
+        });
+    } catch (error) {
+        console.error('List referrals error:', error);
+        res.status(500).json({ message: 'Failed to fetch referrals' });
+    } finally {
+        client.release();
+    }
+});
+
+// Daily reward status: current streak, the next reward and when it can be claimed
+app.get('/api/daily-reward', authMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query(
+            'SELECT timezone, daily_streak, last_claim_date, last_claim_timezone, last_daily_claim FROM users WHERE id = $1',
+            [req.userId]
+        );
+        const now = new Date();
+        const status = getDailyRewardStatus(userRes.rows[0], await getSettings(client), now);
+        res.json({ ...status, secondsUntilNextClaim: Math.max(Math.ceil((status.nextClaimAt - now) / 1000), 0) });
+    } catch (error) {
+        console.error('Daily reward status error:', error);
+        res.status(500).json({ message: 'Failed to fetch daily reward status' });
+    } finally {
+        client.release();
+    }
+});
+
 // Daily Reward
 app.post('/api/claim-daily-reward', authMiddleware, async (req, res) => {
     if (!pool) return res.status(503).json({ message: "Database service unavailable" });
 
-    const client = await pool.connect();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        const userRes = await client.query(
+            'SELECT timezone, daily_streak, last_claim_date, last_claim_timezone, last_daily_claim FROM users WHERE id = $1 FOR UPDATE',
+            [req.userId]
+        );
+        const now = new Date();
+        const settings = await getSettings(client);
+        const status = getDailyRewardStatus(userRes.rows[0], settings, now);
+
+        if (!status.canClaim) {
+            await client.query('ROLLBACK');
+            res.set('Retry-After', String(Math.max(Math.ceil((status.nextClaimAt - now) / 1000), 0)));
+            return res.status(429).json({ message: 'You have already claimed your daily reward today.', nextClaimAt: status.nextClaimAt });
+        }
+
+        await changePoints(client, req.userId, status.reward.total, 'daily_reward', {
+            metadata: { streak: status.nextStreak, points: status.reward.points, bonus: status.reward.bonus, day: status.today }
+        });
+        const updateRes = await client.query(
+            `UPDATE users SET last_daily_claim = $1, daily_streak = $2, last_claim_date = $3, last_claim_timezone = $4 WHERE id = $5
+             RETURNING id, username, email, points, country, is_admin, last_daily_claim, daily_streak, referral_code, referrals`,
+            [now, status.nextStreak, status.today, status.timezone, req.userId]
+        );
+        
+        await client.query('COMMIT');
+        const bonusText = status.reward.bonus ? ` including a ${status.reward.bonus} point streak bonus` : '';
+        res.json({
+            user: updateRes.rows[0],
+            streak: status.nextStreak,
+            reward: status.reward,
+            message: `You claimed ${status.reward.total} points${bonusText}! Streak: ${status.nextStreak} day(s).`
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error("Daily reward error:", error);
+        res.status(500).json({ message: "An error occurred while claiming the reward." });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Redeem a promo or gift code for points
+app.post('/api/redeem', authMiddleware, rateLimit('redeem'), async (req, res) => {
+    const { code } = req.body;
+    if (!normalizePromoCode(code)) {
+        return res.status(400).json({ field: 'code', message: 'code is required.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { promo, error } = await checkPromoCode(client, code, req.userId, 'points');
+        if (error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ field: 'code', message: error });
+        }
+        const redemption = await recordPromoRedemption(client, promo.id, req.userId, { points: promo.points });
+        const user = await changePoints(client, req.userId, promo.points, 'promo_code', {
+            referenceType: 'promo_redemption', referenceId: redemption.id, metadata: { code: promo.code }
+        });
+        await client.query('COMMIT');
+        res.json({ points: promo.points, balance: user.points, message: `You received ${promo.points} points!` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Redeem code error:', error);
+        res.status(500).json({ message: 'Failed to redeem code' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get operation history (cursor-paginated, newest first)
+// Query: limit, cursor (id of the last entry of the previous page), type, status, from, to, q (prompt search)
+app.get('/api/history', authMiddleware, async (req, res) => {
+     if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+     const client = await pool.connect();
+     try {
+        // Repeated parameters arrive as arrays; only single values are accepted
+        const badField = ['limit', 'cursor', 'type', 'status', 'from', 'to', 'q'].find(field => req.query[field] !== undefined && typeof req.query[field] !== 'string');
+        if (badField) return res.status(400).json({ field: badField, message: `${badField} must be a single value.` });
+        const { limit, cursor, type, status, from, to, q } = req.query;
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const conditions = ['user_id = $1'];
+        const values = [req.userId];
+        const addCondition = (sql, value) => {
+            values.push(value);
+            conditions.push(sql.replace('?', `$${values.length}`));
+        };
+        if (cursor) addCondition('id < ?', parseInt(cursor, 10) || 0);
+        if (type) addCondition('type = ?', type);
+        if (status) addCondition('status = ?', status);
+        if (from) {
+            if (isNaN(Date.parse(from))) return res.status(400).json({ message: 'Invalid "from" date.' });
+            addCondition('date >= ?', new Date(from));
+        }
+        if (to) {
+            if (isNaN(Date.parse(to))) return res.status(400).json({ message: 'Invalid "to" date.' });
+            addCondition('date <= ?', new Date(to));
+        }
+        if (q) addCondition('prompt ILIKE ?', `%${q.replace(/[\\%_]/g, '\\$&')}%`);
+
+        values.push(pageSize);
+        const result = await client.query(
+            `SELECT id, type, provider, model, style, prompt, result_url, asset_id, result_text, cost, status, duration_ms, error_message, date
+             FROM history WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT $${values.length}`,
+            values
+        );
+        const history = result.rows.map(entry => ({ ...entry, asset_url: entry.asset_id ? buildAssetUrl(req, entry.asset_id).url : null }));
+        res.json({ history, nextCursor: history.length === pageSize ? history[history.length - 1].id : null });
+     } catch (error) {
+        console.error('Get history error:', error);
+        res.status(500).json({ message: 'Failed to fetch history' });
+     } finally {
+        client.release();
+     }
+});
+
+// Delete a single history entry
+app.delete('/api/history/:id', authMiddleware, async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const historyId = parseIdParam(req.params.id);
+    if (historyId === null) {
+        return res.status(404).json({ message: 'History entry not found' });
+    }
+    const client = await pool.connect();
+    try {
+        const result = await client.query('DELETE FROM history WHERE id = $1 AND user_id = $2 RETURNING asset_id', [historyId, req.userId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'History entry not found' });
+        }
+        await deleteAssets(client, result.rows.map(row => row.asset_id));
+        res.json({ message: 'History entry deleted' });
+    } catch (error) {
+        console.error('Delete history error:', error);
+        res.status(500).json({ message: 'Failed to delete history entry' });
+    } finally {
+        client.release();
+    }
+});
+
+// Clear the whole history of the current user
+app.delete('/api/history', authMiddleware, async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const client = await pool.connect();
+    try {
+        const result = await client.query('DELETE FROM history WHERE user_id = $1 RETURNING asset_id', [req.userId]);
+        await deleteAssets(client, result.rows.map(row => row.asset_id));
+        res.json({ message: 'History cleared', deleted: result.rowCount });
+    } catch (error) {
+        console.error('Clear history error:', error);
+        res.status(500).json({ message: 'Failed to clear history' });
+    } finally {
+        client.release();
+    }
+});
+
+// Serve a stored asset, either to its owner (Authorization header) or through a signed URL
+app.get('/api/assets/:id', async (req, res) => {
+    if (!pool || !storage) return res.status(503).json({ message: "Asset storage unavailable" });
+    const { id } = req.params;
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    let ownerId = null;
+    if (req.query.signature) {
+        if (!verifyAssetSignature(id, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ message: 'Invalid or expired asset link' });
+        }
+    } else {
+        const auth = await getAuthFromToken(req.headers.authorization).catch(() => null);
+        if (!auth) {
+            return res.status(401).json({ message: 'No token provided' });
+        }
+        ownerId = auth.userId;
+    }
+
+    const client = await pool.connect();
+    let asset;
+    try {
+        const result = await client.query('SELECT user_id, storage_key, mime_type, size_bytes FROM assets WHERE id = $1', [id]);
+        asset = result.rows[0];
+    } catch (error) {
+        console.error('Get asset error:', error);
+        return res.status(500).json({ message: 'Failed to fetch asset' });
+    } finally {
+        client.release();
+    }
+    if (!asset || (ownerId !== null && asset.user_id !== ownerId)) {
+        return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    try {
+        const stream = await storage.get(asset.storage_key);
+        res.set({
+            'Content-Type': asset.mime_type,
+            'Content-Length': asset.size_bytes,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        stream.on('error', (error) => {
+            console.error('Asset stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Asset storage read error:', error);
+        res.status(404).json({ message: 'Asset content not found' });
+    }
+});
+
+// Issue a fresh signed URL for an asset of the current user
+app.get('/api/assets/:id/url', authMiddleware, async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({ message: 'Asset not found' });
+    }
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT id FROM assets WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Asset not found' });
+        }
+        res.json(buildAssetUrl(req, req.params.id));
+    } catch (error) {
+        console.error('Asset URL error:', error);
+        res.status(500).json({ message: 'Failed to create asset URL' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get public settings
+app.get('/api/settings', async (req, res) => {
+    if (!pool) {
+        return res.status(503).json({ 
+            message: "Database service unavailable",
+            settings: defaultSettings, // Send default settings so the frontend can at least render
+        });
+    }
+    const client = await pool.connect();
+    try {
+        const settings = await getSettings(client);
+        
+        const auth = await getAuthFromToken(req.headers.authorization);
+        let userIsAdmin = false;
+        if (auth) {
+            const userRes = await client.query('SELECT is_admin FROM users WHERE id = $1', [auth.userId]);
+            if (userRes.rows.length > 0) {
+                userIsAdmin = userRes.rows[0].is_admin;
+            }
+        }
+
+        if (settings.maintenance?.enabled && !userIsAdmin) {
+            return res.status(503).json({
+                message: settings.maintenance.message_en,
+                settings: { 
+                    theme: settings.theme,
+                    maintenance: settings.maintenance
+                }
+            });
+        }
+        
+        // Draft content items are only visible to admins
+        res.json(userIsAdmin ? settings : withoutDraftContent(settings));
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({ message: 'Could not fetch settings', settings: defaultSettings });
+    } finally {
+        client.release();
+    }
+});
+
+// Published homepage content in one language (`?lang=ar|en`, default from Accept-Language)
+app.get('/api/content', async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const lang = getRequestLanguage(req);
+    try {
+        const { content = {} } = await getSettings(pool);
+        const collections = Object.fromEntries(Object.keys(CONTENT_COLLECTIONS).map(collection => [collection, getPublishedCollection(content, collection, lang)]));
+        res.json({
+            lang,
+            siteName: (lang === 'en' ? content.siteNameEn : content.siteNameAr) || content.siteNameAr || content.siteNameEn || '',
+            ...collections,
+            finalCta: content.finalCta ? localizeContentItem(content.finalCta, lang) : null
+        });
+    } catch (error) {
+        console.error('Get content error:', error);
+        res.status(500).json({ message: 'Could not fetch content' });
+    }
+});
+
+// Published items of one content collection in one language
+app.get('/api/content/:collection', async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const { collection } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    const lang = getRequestLanguage(req);
+    try {
+        const { content = {} } = await getSettings(pool);
+        res.json({ lang, collection, ...getPublishedCollection(content, collection, lang) });
+    } catch (error) {
+        console.error('Get content error:', error);
+        res.status(500).json({ message: 'Could not fetch content' });
+    }
+});
+
+// Update settings (Admin only)
+app.post('/api/settings', authMiddleware, adminMiddleware, async (req, res) => {
+    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const currentSettingsRes = await client.query("SELECT value FROM settings WHERE key = 'app_settings' FOR UPDATE");
+        const currentSettings = currentSettingsRes.rows[0]?.value || {};
+        
+        if (!isObject(req.body.settings)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ field: 'settings', message: 'settings must be an object.' });
+        }
+        // Arrays in the change replace the stored array as a whole
+        const newSettings = deepMerge(currentSettings, req.body.settings);
+        const validationError = validateSetting(newSettings, SETTINGS_SCHEMA, '', req.body.settings);
+        if (validationError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json(validationError);
+        }
+
+        const revision = await saveSettingsRevision(client, req, currentSettings, newSettings);
+        await client.query('COMMIT');
+        
+        res.json({ message: 'Settings updated successfully', settings: newSettings, revision });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error("Error updating settings:", error);
+        res.status(500).json({ message: 'Failed to update settings' });
+    } finally {
+        client.release();
+    }
+});
+
+// Admin list of settings revisions, newest first
+app.get('/api/admin/settings/revisions', authMiddleware, adminMiddleware, async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const cursor = parseInt(req.query.before, 10);
+    try {
+        const result = await pool.query(
+            `SELECT r.id, r.action, r.source_revision, r.author_id, u.username AS author_username, r.changes, r.created_at
+             FROM settings_revisions r LEFT JOIN users u ON u.id = r.author_id
+             WHERE ($1::int IS NULL OR r.id < $1)
+             ORDER BY r.id DESC LIMIT $2`,
+            [isNaN(cursor) ? null : cursor, pageSize]
+        );
+        // The full diff can be large; the list only names the changed settings
+        const revisions = result.rows.map(({ changes, ...revision }) => ({ ...revision, changed: Object.keys(changes) }));
+        res.json({ revisions, nextCursor: revisions.length === pageSize ? revisions[revisions.length - 1].id : null });
+    } catch (e) {
+        console.error('List settings revisions error:', e);
+        res.status(500).json({ message: 'Failed to fetch settings revisions' });
+    }
+});
+
+// Admin view of one settings revision, with the document and its diff from the previous revision
+app.get('/api/admin/settings/revisions/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM settings_revisions WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+        res.json({ revision: result.rows[0] });
+    } catch (e) {
+        console.error('Get settings revision error:', e);
+        res.status(500).json({ message: 'Failed to fetch settings revision' });
+    }
+});
+
+// Preview what restoring a revision would change, compared with the current settings or with `?against=<revision>`
+app.get('/api/admin/settings/revisions/:id/diff', authMiddleware, adminMiddleware, async (req, res) => {
+    const against = req.query.against && req.query.against !== 'current' ? parseInt(req.query.against, 10) : null;
+    if (against !== null && isNaN(against)) {
+        return res.status(400).json({ field: 'against', message: 'against must be a revision number or "current".' });
+    }
+    try {
+        const revisionRes = await pool.query('SELECT value FROM settings_revisions WHERE id = $1', [req.params.id]);
+        const baseRes = against === null
+            ? await pool.query("SELECT value FROM settings WHERE key = 'app_settings'")
+            : await pool.query('SELECT value FROM settings_revisions WHERE id = $1', [against]);
+        if (revisionRes.rows.length === 0 || baseRes.rows.length === 0) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+        res.json({
+            from: against === null ? 'current' : against,
+            to: parseInt(req.params.id, 10),
+            changes: diffObjects(baseRes.rows[0].value, revisionRes.rows[0].value)
+        });
+    } catch (e) {
+        console.error('Settings diff error:', e);
+        res.status(500).json({ message: 'Failed to compare settings revisions' });
+    }
+});
+
+// Restore the settings of a revision; the restore is saved as a new revision
+app.post('/api/admin/settings/revisions/:id/rollback', authMiddleware, adminMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const revisionRes = await client.query('SELECT id, value FROM settings_revisions WHERE id = $1', [req.params.id]);
+        if (revisionRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+        const { id, value } = revisionRes.rows[0];
+        // Older revisions may predate settings the current code requires
+        const validationError = validateSetting(value, SETTINGS_SCHEMA, '');
+        if (validationError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json(validationError);
+        }
+
+        const currentSettingsRes = await client.query("SELECT value FROM settings WHERE key = 'app_settings' FOR UPDATE");
+        const revision = await saveSettingsRevision(client, req, currentSettingsRes.rows[0]?.value || {}, value, { action: 'rollback', sourceRevision: id });
+        await client.query('COMMIT');
+        res.json({ message: `Settings restored to revision ${id}.`, settings: value, revision });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        console.error('Settings rollback error:', e);
+        res.status(500).json({ message: 'Failed to restore settings' });
+    } finally {
+        client.release();
+    }
+});
+
+// Admin list of a content collection, drafts included, in display order
+app.get('/api/admin/content/:collection', authMiddleware, adminMiddleware, async (req, res) => {
+    const { collection } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    try {
+        const settings = await getSettings(pool);
+        res.json({ collection, items: getContentItems(settings.content, collection) });
+    } catch (e) {
+        console.error('List content error:', e);
+        res.status(500).json({ message: 'Failed to fetch content' });
+    }
+});
+
+// Admin create content item; new items are drafts unless `status: 'published'` is sent
+app.post('/api/admin/content/:collection', authMiddleware, adminMiddleware, async (req, res) => {
+    const { collection } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    const { values, error } = parseContentItemInput(collection, req.body, false);
+    if (error) {
+        return res.status(400).json(error);
+    }
     try {
-        await client.query('BEGIN');
-        
-        const userRes = await client.query('SELECT last_daily_claim FROM users WHERE id = $1', [req.userId]);
-        const lastClaim = userRes.rows[0].last_daily_claim;
-        const now = new Date();
+        const item = { id: newContentItemId(), status: 'draft', ...values };
+        const outcome = await updateContentCollection(req, collection, (items) => ({ action: 'create', items: [...items, item], item }));
+        if (outcome.error) {
+            return res.status(outcome.error.status).json(outcome.error.body);
+        }
+        res.status(201).json({ item });
+    } catch (e) {
+        console.error('Create content error:', e);
+        res.status(500).json({ message: 'Failed to create content item' });
+    }
+});
 
-        if (lastClaim && (now.getTime() - new Date(lastClaim).getTime()) < 24 * 60 * 60 * 1000) {
-            return res.status(429).json({ message: 'You have already claimed your daily reward in the last 24 hours.' });
+// Admin reorder a content collection; `ids` must list every item once, in the new order
+app.post('/api/admin/content/:collection/reorder', authMiddleware, adminMiddleware, async (req, res) => {
+    const { collection } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    const { ids } = req.body;
+    if (!Array.isArray(ids)) {
+        return res.status(400).json({ field: 'ids', message: 'ids must be a list of item ids.' });
+    }
+    try {
+        const outcome = await updateContentCollection(req, collection, (items) => {
+            const byId = new Map(items.map(item => [String(item.id), item]));
+            const wanted = ids.map(String);
+            if (wanted.length !== items.length || new Set(wanted).size !== wanted.length || !wanted.every(id => byId.has(id))) {
+                return { error: { status: 400, body: { field: 'ids', message: 'ids must list every item of the collection exactly once.' } } };
+            }
+            return { action: 'reorder', items: wanted.map(id => byId.get(id)) };
+        });
+        if (outcome.error) {
+            return res.status(outcome.error.status).json(outcome.error.body);
         }
-        
-        const settings = await getSettings(client);
-        const rewardPoints = settings.costs.dailyRewardPoints;
+        res.json({ collection, items: outcome.items });
+    } catch (e) {
+        console.error('Reorder content error:', e);
+        res.status(500).json({ message: 'Failed to reorder content' });
+    }
+});
 
-        const updateRes = await client.query(
-            'UPDATE users SET points = points + $1, last_daily_claim = $2 WHERE id = $3 RETURNING id, username, email, points, country, is_admin, last_daily_claim, referral_code, referrals', 
-            [rewardPoints, now, req.userId]
-        );
-        
-        await client.query('COMMIT');
-        res.json({ user: updateRes.rows[0], message: `You claimed ${rewardPoints} points!` });
+// Admin update content item (only the fields sent are changed)
+app.put('/api/admin/content/:collection/:itemId', authMiddleware, adminMiddleware, async (req, res) => {
+    const { collection, itemId } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    const { values, error } = parseContentItemInput(collection, req.body, true);
+    if (error) {
+        return res.status(400).json(error);
+    }
+    try {
+        const outcome = await updateContentCollection(req, collection, (items) => {
+            const before = items.find(item => String(item.id) === itemId);
+            if (!before) return { error: { status: 404, body: { message: 'Content item not found' } } };
+            const item = { ...before, ...values };
+            return { action: 'update', items: items.map(existing => (existing === before ? item : existing)), item, before };
+        });
+        if (outcome.error) {
+            return res.status(outcome.error.status).json(outcome.error.body);
+        }
+        res.json({ item: outcome.item });
+    } catch (e) {
+        console.error('Update content error:', e);
+        res.status(500).json({ message: 'Failed to update content item' });
+    }
+});
+
+// Admin delete content item
+app.delete('/api/admin/content/:collection/:itemId', authMiddleware, adminMiddleware, async (req, res) => {
+    const { collection, itemId } = req.params;
+    if (!CONTENT_COLLECTIONS[collection]) return res.status(404).json({ message: 'Unknown content collection' });
+    try {
+        const outcome = await updateContentCollection(req, collection, (items) => {
+            const before = items.find(item => String(item.id) === itemId);
+            if (!before) return { error: { status: 404, body: { message: 'Content item not found' } } };
+            return { action: 'delete', items: items.filter(item => item !== before), before };
+        });
+        if (outcome.error) {
+            return res.status(outcome.error.status).json(outcome.error.body);
+        }
+        res.json({ message: 'Content item deleted' });
+    } catch (e) {
+        console.error('Delete content error:', e);
+        res.status(500).json({ message: 'Failed to delete content item' });
+    }
+});
+
+// Get app config (for Stripe keys etc.)
+app.get('/api/config', (req, res) => {
+    res.json({
+        stripePublicKey: process.env.STRIPE_PUBLIC_KEY,
+    });
+});
+
+app.get('/api/health', async (req, res) => {
+    let dbStatus;
+    if (dbInitializationError) {
+        dbStatus = { ok: false, message: `Database initialization failed: ${dbInitializationError}` };
+    } else if (pool) {
+        let client;
+        try {
+            client = await pool.connect();
+            await client.query('SELECT NOW()'); // Simple query to check liveness
+            dbStatus = { ok: true, message: 'Successfully connected to the database.' };
+        } catch (e) {
+            dbStatus = { ok: false, message: `Database connection failed: ${e.message}` };
+        } finally {
+            if (client) client.release();
+        }
+    } else {
+        dbStatus = { ok: false, message: 'Database is not configured (DATABASE_URL is not set).' };
+    }
+
+    res.json({
+        database: dbStatus,
+        ai_service: {
+            ok: !aiInitializationError,
+            message: aiInitializationError || 'AI service is operational.'
+        },
+        payment_service: {
+            ok: !stripeInitializationError,
+            message: stripeInitializationError || 'Payment service is operational.'
+        },
+        storage_service: {
+            ok: !storageInitializationError,
+            message: storageInitializationError || `Asset storage is operational (${storage.name}).`
+        },
+        email_service: {
+            ok: mailTransport.name === 'mailersend',
+            message: mailTransport.name === 'mailersend' ? 'Email service is operational.' : `Emails are delivered by the local "${mailTransport.name}" transport.`
+        },
+    });
+});
+
+// Stripe Checkout
+app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ message: "Payment service is not available." });
+    }
+    const { packageId, planId, promoCode } = req.body;
+    let reservation = null;
+    let session = null;
+    
+    try {
+        const settings = await getSettings(pool);
+        const userRes = await pool.query('SELECT email, stripe_customer_id FROM users WHERE id = $1', [req.userId]);
+        const user = userRes.rows[0];
+        // Reuse the Stripe customer once there is one, so payments and subscriptions share it
+        const customer = user.stripe_customer_id ? { customer: user.stripe_customer_id } : { customer_email: user.email };
+
+        const successUrl = `${APP_BASE_URL}/#store?payment_success=true`;
+        const cancelUrl = `${APP_BASE_URL}/#store?payment_cancelled=true`;
+
+        let sessionParams;
+        if (planId !== undefined) {
+            const plan = settings.store.subscriptions.find(p => p.id == planId);
+            if (!plan) {
+                return res.status(404).json({ message: 'Plan not found' });
+            }
+            const activeRes = await pool.query(
+                "SELECT id FROM subscriptions WHERE user_id = $1 AND status IN ('active', 'trialing', 'past_due')",
+                [req.userId]
+            );
+            if (activeRes.rows.length > 0) {
+                return res.status(409).json({ message: 'You already have a subscription. Use the billing portal to change it.' });
+            }
+
+            const metadata = { userId: req.userId, planId: plan.id };
+            sessionParams = {
+                line_items: [{
+                    price: plan.stripePriceId,
+                    quantity: 1,
+                }],
+                mode: 'subscription',
+                metadata,
+                subscription_data: { metadata }
+            };
+        } else {
+            const pkg = settings.store.packages.find(p => p.id == packageId);
+
+            if (!pkg) {
+                return res.status(404).json({ message: 'Package not found' });
+            }
+            sessionParams = {
+                line_items: [{
+                    price: pkg.stripePriceId,
+                    quantity: 1,
+                }],
+                mode: 'payment',
+                metadata: {
+                    userId: req.userId,
+                    packageId: pkg.id,
+                    points: pkg.points
+                }
+            };
+        }
+
+        // A discount code use is reserved before the session exists, so concurrent checkouts cannot exceed
+        // its caps. The webhook completes the reservation once the payment succeeds and releases it if the
+        // session expires.
+        if (promoCode) {
+            const reserved = await reservePromoCode(promoCode, req.userId);
+            if (reserved.error) {
+                return res.status(400).json({ field: 'promoCode', message: reserved.error });
+            }
+            reservation = reserved.redemption;
+            sessionParams.discounts = [{ coupon: await getPromoStripeCoupon(reserved.promo) }];
+            sessionParams.metadata.promoCodeId = reserved.promo.id;
+            sessionParams.metadata.promoRedemptionId = reservation.id;
+            sessionParams.expires_at = Math.floor(Date.now() / 1000) + PROMO_CHECKOUT_TTL_SECONDS;
+        }
+
+        session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            ...customer,
+            ...sessionParams
+        });
+        if (reservation) {
+            // The webhook also finds the reservation through promoRedemptionId, so the session is still usable if this fails
+            await pool.query('UPDATE promo_redemptions SET checkout_session_id = $1 WHERE id = $2', [session.id, reservation.id])
+                .catch(error => console.error(`Failed to attach checkout session ${session.id} to promo reservation ${reservation.id}:`, error));
+        }
+
+        res.json({ url: session.url });
+
+    } catch (error) {
+        if (reservation && !session) {
+            await releasePromoReservation(pool, { redemptionId: reservation.id })
+                .catch(releaseError => console.error('Failed to release promo code reservation:', releaseError));
+        }
+        console.error("Stripe session error:", error);
+        res.status(500).json({ message: 'Failed to create checkout session', error: error.message });
+    }
+});
 
+// Open the Stripe billing portal, where users manage or cancel their subscription
+app.post('/api/billing-portal', authMiddleware, async (req, res) => {
+    if (!stripe) {
+        return res.status(503).json({ message: "Payment service is not available." });
+    }
+    try {
+        const userRes = await pool.query('SELECT stripe_customer_id FROM users WHERE id = $1', [req.userId]);
+        const customerId = userRes.rows[0]?.stripe_customer_id;
+        if (!customerId) {
+            return res.status(404).json({ message: 'No billing account found. Subscribe to a plan first.' });
+        }
+        const session = await stripe.billingPortal.sessions.create({
+            customer: customerId,
+            return_url: `${APP_BASE_URL}/#store`
+        });
+        res.json({ url: session.url });
     } catch (error) {
+        console.error('Billing portal error:', error);
+        res.status(500).json({ message: 'Failed to open billing portal' });
+    }
+});
+
+
+// Stripe Webhook
+// Events are recorded in stripe_events in the same transaction that applies them: a redelivered
+// event is acknowledged without effect, and a failed one returns 500 so Stripe retries it.
+app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    let event;
+    try {
+        // The static helper only needs the signing secret, so signed test payloads work without an API key
+        event = Stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+        console.error(`Webhook signature verification failed.`, err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    const handler = stripeEventHandlers[event.type];
+    if (!handler) {
+        return res.json({ received: true });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const eventRes = await client.query(
+            'INSERT INTO stripe_events (id, type) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING RETURNING id',
+            [event.id, event.type]
+        );
+        if (eventRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.json({ received: true, duplicate: true });
+        }
+        await handler(client, event.data.object);
+        await client.query('COMMIT');
+        res.json({ received: true });
+    } catch (err) {
         await client.query('ROLLBACK');
-        console.error("Daily reward error:", error);
-        res.status(500).json({ message: "An error occurred while claiming the reward." });
+        console.error(`Failed to process Stripe event ${event.id} (${event.type}):`, err);
+        res.status(500).json({ message: 'Failed to process webhook event' });
     } finally {
         client.release();
     }
 });
 
 
-// Get operation history
-app.get('/api/history', authMiddleware, async (req, res) => {
-     if (!pool) return res.status(503).json({ message: "Database service unavailable" });
-     const client = await pool.connect();
-     try {
-        const result = await client.query('SELECT * FROM history WHERE user_id = $1 ORDER BY date DESC', [req.userId]);
-        res.json({ history: result.rows });
-     } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch history' });
-     } finally {
+// Quote the cost of an AI request, with its breakdown, before the user confirms it
+app.post('/api/ai/quote', authMiddleware, async (req, res) => {
+    const { payload, removeWatermark } = req.body;
+    try {
+        const { request, error: validationError } = parseAiRequest(payload);
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
+        const quote = await quoteAiRequest(request, { removeWatermark });
+        if (!quote) {
+            return res.status(400).json({ message: 'No pricing is configured for this request.' });
+        }
+        const userRes = await pool.query('SELECT points, held_points FROM users WHERE id = $1', [req.userId]);
+        const available = userRes.rows[0].points - userRes.rows[0].held_points;
+        res.json({ quote, available, sufficient: available >= quote.total });
+    } catch (error) {
+        console.error('AI quote error:', error);
+        res.status(500).json({ message: 'Failed to quote AI request' });
+    }
+});
+
+// Proxy for AI Generation
+app.post('/api/ai/generate', authMiddleware, rateLimit('ai'), async (req, res) => {
+    if (aiInitializationError) {
+        return res.status(503).json({ message: "AI service is not available." });
+    }
+    
+    const { payload, removeWatermark } = req.body;
+    let reservation = null;
+    let startedAt = null;
+
+    try {
+        const { request, error: validationError } = parseAiRequest(payload);
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
+        const quote = await quoteAiRequest(request, { removeWatermark });
+        if (!quote) {
+            return res.status(400).json({ message: 'No pricing is configured for this request.' });
+        }
+        // Reserve points; the model is called without holding a DB connection
+        reservation = await reserveAiOperation(req.userId, request, quote);
+        if (!reservation) {
+            return res.status(402).json({ message: 'Insufficient points' });
+        }
+
+        startedAt = Date.now();
+        const aiResult = await executeAiOperation(req.userId, request, reservation.historyEntry);
+        const { user: updatedUser, historyId } = await completeAiOperation(req.userId, reservation, aiResult, Date.now() - startedAt);
+        reservation = null;
+
+        delete updatedUser.password_hash;
+        res.json({ result: withAssetUrl(req, aiResult), user: updatedUser, historyId });
+
+    } catch (error) {
+        if (reservation) {
+            await failAiOperation(reservation, error, startedAt ? Date.now() - startedAt : null)
+                .catch(releaseError => console.error('Failed to release points hold:', releaseError));
+        }
+        console.error('AI Generation Proxy Error:', error);
+        res.status(500).json({ message: error.message || 'An error occurred during AI generation.' });
+    }
+});
+
+// Stream the output of the text tools as server-sent events over the POST response.
+// Events: "token" ({ text }) while generating, then "done" ({ text, user, historyId }) or "error" ({ message }).
+// If the client disconnects, generation still runs to completion so the charge always matches a history entry.
+app.post('/api/ai/stream', authMiddleware, rateLimit('ai'), async (req, res) => {
+    if (aiInitializationError) {
+        return res.status(503).json({ message: "AI service is not available." });
+    }
+
+    let request;
+    let reservation = null;
+    let startedAt = null;
+    try {
+        const parsed = parseAiRequest(req.body.payload);
+        if (parsed.error) {
+            return res.status(400).json(parsed.error);
+        }
+        request = parsed.request;
+        if (request.tool !== 'rewrite' && request.tool !== 'generate-tweets') {
+            return res.status(400).json({ field: 'type', message: 'Streaming is only available for the rewrite and generate-tweets tools.' });
+        }
+        const quote = await quoteAiRequest(request);
+        if (!quote) {
+            return res.status(400).json({ message: 'No pricing is configured for this request.' });
+        }
+        reservation = await reserveAiOperation(req.userId, request, quote);
+    } catch (error) {
+        console.error('AI stream reservation error:', error);
+        return res.status(500).json({ message: 'An error occurred during AI generation.' });
+    }
+    if (!reservation) {
+        return res.status(402).json({ message: 'Insufficient points' });
+    }
+
+    let clientConnected = true;
+    res.on('close', () => { clientConnected = false; });
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    let text = '';
+    try {
+        startedAt = Date.now();
+        const { provider, model } = reservation.historyEntry;
+        for await (const chunkText of aiProviders[provider].streamText({ model, ...buildTextRequest(request) })) {
+            text += chunkText;
+            if (clientConnected) {
+                writeSseEvent(res, 'token', { text: chunkText });
+            }
+        }
+
+        const { user: updatedUser, historyId } = await completeAiOperation(req.userId, reservation, { text }, Date.now() - startedAt);
+        reservation = null;
+        delete updatedUser.password_hash;
+        if (clientConnected) {
+            writeSseEvent(res, 'done', { text, user: updatedUser, historyId });
+        }
+    } catch (error) {
+        if (reservation) {
+            await failAiOperation(reservation, error, Date.now() - startedAt)
+                .catch(releaseError => console.error('Failed to release points hold:', releaseError));
+        }
+        console.error('AI Stream Error:', error);
+        if (clientConnected) {
+            writeSseEvent(res, 'error', { message: error.message || 'An error occurred during AI generation.' });
+        }
+    }
+    res.end();
+});
+
+// Queue an AI generation job; the result is fetched by polling or through the events stream
+app.post('/api/ai/jobs', authMiddleware, rateLimit('ai'), async (req, res) => {
+    if (aiInitializationError) {
+        return res.status(503).json({ message: "AI service is not available." });
+    }
+
+    const { payload, removeWatermark } = req.body;
+    let reservation = null;
+    try {
+        const { request, error: validationError } = parseAiRequest(payload);
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
+        const quote = await quoteAiRequest(request, { removeWatermark });
+        if (!quote) {
+            return res.status(400).json({ message: 'No pricing is configured for this request.' });
+        }
+        reservation = await reserveAiOperation(req.userId, request, quote);
+        if (!reservation) {
+            return res.status(402).json({ message: 'Insufficient points' });
+        }
+
+        const client = await pool.connect();
+        let job;
+        try {
+            const settings = await getSettings(client);
+            jobQueue.setConcurrency(settings.jobs?.concurrency || {});
+            const result = await client.query(
+                `INSERT INTO ai_jobs (id, user_id, category, payload, history_entry, hold_id, locked_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+                [crypto.randomUUID(), req.userId, getJobCategory(request), request, reservation.historyEntry, reservation.hold.id, instanceId]
+            );
+            job = result.rows[0];
+        } finally {
+            client.release();
+        }
+        reservation = null;
+
+        jobQueue.enqueue(job.id, job.category);
+        res.status(202).json({ job: serializeJob(req, job), events: buildJobEventsUrl(req, job.id) });
+    } catch (error) {
+        if (reservation) {
+            await releasePointsHold(reservation.hold.id).catch(releaseError => console.error('Failed to release points hold:', releaseError));
+        }
+        console.error('Create AI job error:', error);
+        res.status(500).json({ message: 'Failed to queue AI job' });
+    }
+});
+
+// Get the status and result of an AI job
+app.get('/api/ai/jobs/:id', authMiddleware, async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({ message: 'Job not found' });
+    }
+    const client = await pool.connect();
+    try {
+        const result = await client.query('SELECT * FROM ai_jobs WHERE id = $1 AND user_id = $2', [req.params.id, req.userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+        res.json({ job: serializeJob(req, result.rows[0]), events: buildJobEventsUrl(req, req.params.id) });
+    } catch (error) {
+        console.error('Get AI job error:', error);
+        res.status(500).json({ message: 'Failed to fetch job' });
+    } finally {
         client.release();
-     }
+    }
 });
 
-// Add to history
-app.post('/api/history', authMiddleware, async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
-    const { type, prompt, resultUrl, cost } = req.body;
+// Server-sent events for an AI job. Authenticated with the Authorization header, or for
+// EventSource with the signed `events.url` returned by POST /api/ai/jobs and GET /api/ai/jobs/:id.
+app.get('/api/ai/jobs/:id/events', (req, res, next) => {
+    if (req.headers.authorization || req.query.signature === undefined) {
+        return authMiddleware(req, res, next);
+    }
+    if (!verifyUrlSignature(signJobEvents, req.params.id, req.query.expires, req.query.signature)) {
+        return res.status(401).json({ message: 'Invalid or expired events URL' });
+    }
+    next();
+}, async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({ message: 'Job not found' });
+    }
+    // A signed URL is only valid for the job it was issued for, so the job alone identifies it
+    const loadJob = async () => {
+        const result = req.userId
+            ? await pool.query('SELECT * FROM ai_jobs WHERE id = $1 AND user_id = $2', [req.params.id, req.userId])
+            : await pool.query('SELECT * FROM ai_jobs WHERE id = $1', [req.params.id]);
+        return result.rows[0];
+    };
+
+    let job;
+    try {
+        job = await loadJob();
+    } catch (error) {
+        console.error('AI job events error:', error);
+        return res.status(500).json({ message: 'Failed to fetch job' });
+    }
+    if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    let lastSent = null;
+    let closed = false;
+    const send = (current) => {
+        const data = serializeJob(req, current);
+        const serialized = JSON.stringify(data);
+        if (closed || serialized === lastSent) return;
+        lastSent = serialized;
+        writeSseEvent(res, current.status === 'succeeded' || current.status === 'failed' ? 'done' : 'progress', data);
+        if (current.status === 'succeeded' || current.status === 'failed') cleanup();
+    };
+    // Jobs run on whichever instance accepted them, so local events are backed by polling
+    const poll = setInterval(() => loadJob().then(current => current && send(current)).catch(() => {}), 3000);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(poll);
+        clearInterval(keepAlive);
+        jobEvents.off(`job:${job.id}`, send);
+        res.end();
+    };
+    jobEvents.on(`job:${job.id}`, send);
+    req.on('close', cleanup);
+    send(job);
+});
+
+// Admin user list with search, filters, sorting and pagination (see parseUserListQuery)
+app.get('/api/admin/users', authMiddleware, adminMiddleware, async(req, res) => {
     const client = await pool.connect();
     try {
-        await client.query(
-            'INSERT INTO history (user_id, type, prompt, result_url, cost) VALUES ($1, $2, $3, $4, $5)',
-            [req.userId, type, prompt, resultUrl, cost]
+        const listQuery = parseUserListQuery(req.query);
+        if (listQuery.error) {
+            return res.status(400).json(listQuery.error);
+        }
+        const { where, orderBy, values } = listQuery;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+        const countRes = await client.query(`SELECT COUNT(*) FROM users ${where}`, values);
+        const result = await client.query(
+            `SELECT ${ADMIN_USER_COLUMNS.join(', ')} FROM users ${where} ${orderBy} LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, (page - 1) * limit]
         );
-        res.status(201).json({ message: 'History saved' });
-    } catch (error) {
-        res.status(500).json({ message: 'Failed to save history' });
+        res.json({ users: result.rows, pagination: { page, limit, total: parseInt(countRes.rows[0].count, 10) } });
+    } catch (e) {
+        console.error('List users error:', e);
+        res.status(500).json({ message: 'Failed to fetch users' });
     } finally {
         client.release();
     }
 });
 
-// Get public settings
-app.get('/api/settings', async (req, res) => {
-    if (!pool) {
-        return res.status(503).json({ 
-            message: "Database service unavailable",
-            settings: defaultSettings, // Send default settings so the frontend can at least render
-        });
+// Admin CSV export of the users matching the same filters and sorting as the list
+app.get('/api/admin/users/export', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const listQuery = parseUserListQuery(req.query);
+        if (listQuery.error) {
+            return res.status(400).json(listQuery.error);
+        }
+        const { where, orderBy, values } = listQuery;
+        const result = await pool.query(`SELECT ${ADMIN_USER_COLUMNS.join(', ')} FROM users ${where} ${orderBy}`, values);
+        const lines = [ADMIN_USER_COLUMNS.join(',')];
+        for (const row of result.rows) {
+            lines.push(ADMIN_USER_COLUMNS.map(column => csvCell(row[column])).join(','));
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(`${lines.join('\r\n')}\r\n`);
+    } catch (e) {
+        console.error('Export users error:', e);
+        res.status(500).json({ message: 'Failed to export users' });
+    }
+});
+
+// Admin bulk action on selected users: { ids, action: 'suspend' | 'ban' | 'activate' | 'grant_points', points? }
+app.post('/api/admin/users/bulk', authMiddleware, adminMiddleware, async (req, res) => {
+    const { ids, action, points } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        return res.status(400).json({ field: 'ids', message: 'ids must be a list of 1 to 500 user ids.' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(BULK_USER_ACTIONS, action)) {
+        return res.status(400).json({ field: 'action', message: `action must be one of: ${Object.keys(BULK_USER_ACTIONS).join(', ')}.` });
     }
+    if (action === 'grant_points' && !(Number.isInteger(points) && points > 0)) {
+        return res.status(400).json({ field: 'points', message: 'points must be a positive integer.' });
+    }
+    // Admins cannot lock themselves out
+    const targetIds = [...new Set(ids)].filter(id => action === 'grant_points' || id !== req.userId);
+
     const client = await pool.connect();
     try {
-        const settings = await getSettings(client);
-        
-        const token = req.headers.authorization;
-        const userId = await getUserIdFromToken(token);
-        let userIsAdmin = false;
-        if (userId) {
-            const userRes = await client.query('SELECT is_admin FROM users WHERE id = $1', [userId]);
-            if (userRes.rows.length > 0) {
-                userIsAdmin = userRes.rows[0].is_admin;
+        await client.query('BEGIN');
+        const usersRes = await client.query('SELECT id, points, status FROM users WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [targetIds]);
+        for (const user of usersRes.rows) {
+            if (action === 'grant_points') {
+                const updated = await changePoints(client, user.id, points, 'admin_adjustment', { referenceType: 'admin', referenceId: req.userId });
+                await recordAudit(client, req, { action: 'user.bulk_grant_points', targetType: 'user', targetId: user.id, before: { points: user.points }, after: { points: updated.points } });
+            } else if (user.status !== BULK_USER_ACTIONS[action]) {
+                await client.query('UPDATE users SET status = $1 WHERE id = $2', [BULK_USER_ACTIONS[action], user.id]);
+                await recordAudit(client, req, { action: `user.bulk_${action}`, targetType: 'user', targetId: user.id, before: { status: user.status }, after: { status: BULK_USER_ACTIONS[action] } });
             }
         }
+        await client.query('COMMIT');
 
-        if (settings.maintenance?.enabled && !userIsAdmin) {
-            return res.status(503).json({
-                message: settings.maintenance.message_en,
-                settings: { 
-                    theme: settings.theme,
-                    maintenance: settings.maintenance
-                }
-            });
-        }
-        
-        res.json(settings);
-    } catch (error) {
-        console.error('Get settings error:', error);
-        res.status(500).json({ message: 'Could not fetch settings', settings: defaultSettings });
+        const found = new Set(usersRes.rows.map(user => user.id));
+        res.json({
+            updated: usersRes.rows.map(user => user.id),
+            skipped: [...new Set(ids)].filter(id => !found.has(id))
+        });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        console.error('Bulk user action error:', e);
+        res.status(500).json({ message: 'Failed to update users' });
     } finally {
         client.release();
     }
 });
 
-// Update settings (Admin only)
-app.post('/api/settings', authMiddleware, adminMiddleware, async (req, res) => {
-    if (!pool) return res.status(503).json({ message: "Database service unavailable" });
+// Admin update user (only the fields sent are changed; `points` sets the balance)
+app.put('/api/admin/users/:id', authMiddleware, adminMiddleware, async(req, res) => {
+    const id = parseIdParam(req.params.id);
+    if (id === null) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    const { values, error } = parseAdminUserUpdate(req.body);
+    if (error) {
+        return res.status(400).json(error);
+    }
+    if (id === req.userId && ((values.status !== undefined && values.status !== 'active') || values.is_admin === false)) {
+        return res.status(400).json({ message: 'You cannot suspend or demote your own account.' });
+    }
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
-        const currentSettingsRes = await client.query("SELECT value FROM settings WHERE key = 'app_settings'");
-        const currentSettings = currentSettingsRes.rows[0]?.value || {};
-        
-        const newSettings = deepMerge(currentSettings, req.body.settings);
-        
-        await client.query("UPDATE settings SET value = $1 WHERE key = 'app_settings'", [newSettings]);
+        const currentRes = await client.query('SELECT points, status, country, is_admin FROM users WHERE id = $1 FOR UPDATE', [id]);
+        if (currentRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const current = currentRes.rows[0];
+
+        // Admins set an absolute balance; the ledger records the difference
+        const { points, ...columns } = values;
+        const delta = points === undefined ? 0 : points - current.points;
+        if (delta) {
+            await changePoints(client, id, delta, 'admin_adjustment', { referenceType: 'admin', referenceId: req.userId });
+        }
+        const names = Object.keys(columns);
+        if (names.length > 0) {
+            await client.query(
+                `UPDATE users SET ${names.map((column, i) => `${column} = $${i + 1}`).join(', ')} WHERE id = $${names.length + 1}`,
+                [...Object.values(columns), id]
+            );
+        }
+        const result = await client.query(`SELECT ${ADMIN_USER_COLUMNS.join(', ')} FROM users WHERE id = $1`, [id]);
+        const user = result.rows[0];
+        await recordAudit(client, req, {
+            action: 'user.update', targetType: 'user', targetId: id,
+            before: current, after: { points: user.points, status: user.status, country: user.country, is_admin: user.is_admin }
+        });
         await client.query('COMMIT');
-        
-        res.json({ message: 'Settings updated successfully', settings: newSettings });
-    } catch (error) {
+        res.json({ user });
+    } catch(e) {
         await client.query('ROLLBACK');
-        console.error("Error updating settings:", error);
-        res.status(500).json({ message: 'Failed to update settings' });
+        console.error('Update user error:', e);
+        res.status(500).json({ message: 'Failed to update user'});
     } finally {
         client.release();
     }
 });
 
-// Get app config (for Stripe keys etc.)
-app.get('/api/config', (req, res) => {
-    res.json({
-        stripePublicKey: process.env.STRIPE_PUBLIC_KEY,
-    });
-});
-
-app.get('/api/health', async (req, res) => {
-    let dbStatus;
-    if (dbInitializationError) {
-        dbStatus = { ok: false, message: `Database initialization failed: ${dbInitializationError}` };
-    } else if (pool) {
-        let client;
-        try {
-            client = await pool.connect();
-            await client.query('SELECT NOW()'); // Simple query to check liveness
-            dbStatus = { ok: true, message: 'Successfully connected to the database.' };
-        } catch (e) {
-            dbStatus = { ok: false, message: `Database connection failed: ${e.message}` };
-        } finally {
-            if (client) client.release();
+// Admin view of a user's points ledger, with a reconciliation check against the stored balance
+app.get('/api/admin/users/:id/transactions', authMiddleware, adminMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const userRes = await client.query('SELECT points FROM users WHERE id = $1', [req.params.id]);
+        if (userRes.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
         }
-    } else {
-        dbStatus = { ok: false, message: 'Database is not configured (DATABASE_URL is not set).' };
+        const ledgerRes = await client.query('SELECT COALESCE(SUM(amount), 0) AS total FROM points_transactions WHERE user_id = $1', [req.params.id]);
+        const balance = userRes.rows[0].points;
+        const ledgerBalance = parseInt(ledgerRes.rows[0].total, 10);
+        const page = await listPointsTransactions(client, req.params.id, req.query);
+        res.json({ ...page, balance, ledgerBalance, reconciled: balance === ledgerBalance });
+    } catch (e) {
+        console.error('Admin ledger error:', e);
+        res.status(500).json({ message: 'Failed to fetch transactions' });
+    } finally {
+        client.release();
     }
-
-    res.json({
-        database: dbStatus,
-        ai_service: {
-            ok: !aiInitializationError,
-            message: aiInitializationError || 'AI service is operational.'
-        },
-        payment_service: {
-            ok: !stripeInitializationError,
-            message: stripeInitializationError || 'Payment service is operational.'
-        },
-    });
 });
 
-// Stripe Checkout
-app.post('/api/create-checkout-session', authMiddleware, async (req, res) => {
-    if (!stripe) {
-        return res.status(503).json({ message: "Payment service is not available." });
-    }
-    const { packageId } = req.body;
-    
+// Admin list of users whose stored balance does not match their ledger
+app.get('/api/admin/points/reconcile', authMiddleware, adminMiddleware, async (req, res) => {
     const client = await pool.connect();
     try {
-        const settings = await getSettings(client);
-        const pkg = settings.store.packages.find(p => p.id == packageId);
-
-        if (!pkg) {
-            return res.status(404).json({ message: 'Package not found' });
-        }
-        
-        const userRes = await client.query('SELECT email FROM users WHERE id = $1', [req.userId]);
-        const userEmail = userRes.rows[0].email;
-        
-        const successUrl = 'https://tomatoai.net/#store?payment_success=true';
-        const cancelUrl = 'https://tomatoai.net/#store?payment_cancelled=true';
-        
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: [{
-                price: pkg.stripePriceId,
-                quantity: 1,
-            }],
-            mode: 'payment',
-            success_url: successUrl,
-            cancel_url: cancelUrl,
-            customer_email: userEmail,
-            metadata: {
-                userId: req.userId,
-                packageId: pkg.id,
-                points: pkg.points
-            }
-        });
-
-        res.json({ url: session.url });
-
-    } catch (error) {
-        console.error("Stripe session error:", error);
-        res.status(500).json({ message: 'Failed to create checkout session', error: error.message });
+        const result = await client.query(`
+            SELECT u.id, u.username, u.points, COALESCE(t.total, 0) AS ledger_balance
+            FROM users u LEFT JOIN (SELECT user_id, SUM(amount) AS total FROM points_transactions GROUP BY user_id) t ON t.user_id = u.id
+            WHERE u.points <> COALESCE(t.total, 0)
+            ORDER BY u.id
+        `);
+        res.json({ mismatches: result.rows.map(row => ({ ...row, ledger_balance: parseInt(row.ledger_balance, 10) })) });
+    } catch (e) {
+        console.error('Ledger reconciliation error:', e);
+        res.status(500).json({ message: 'Failed to reconcile balances' });
     } finally {
         client.release();
     }
 });
 
+// Admin audit log, filterable by actorId, targetType, targetId, action and a `from`/`to` date range
+app.get('/api/admin/audit', authMiddleware, adminMiddleware, async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const cursor = parseInt(req.query.before, 10);
+    const actorId = parseInt(req.query.actorId, 10);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ message: 'from and to must be dates.' });
+    }
+    try {
+        const result = await pool.query(
+            `SELECT l.id, l.actor_id, u.username AS actor_username, l.action, l.target_type, l.target_id, l.changes, l.ip_address, l.user_agent, l.created_at
+             FROM audit_log l LEFT JOIN users u ON u.id = l.actor_id
+             WHERE ($1::int IS NULL OR l.id < $1) AND ($2::int IS NULL OR l.actor_id = $2)
+               AND ($3::text IS NULL OR l.target_type = $3) AND ($4::text IS NULL OR l.target_id = $4)
+               AND ($5::text IS NULL OR l.action = $5)
+               AND ($6::timestamptz IS NULL OR l.created_at >= $6) AND ($7::timestamptz IS NULL OR l.created_at < $7)
+             ORDER BY l.id DESC LIMIT $8`,
+            [
+                isNaN(cursor) ? null : cursor, isNaN(actorId) ? null : actorId, req.query.targetType || null,
+                req.query.targetId || null, req.query.action || null, from, to, pageSize
+            ]
+        );
+        const entries = result.rows;
+        res.json({ entries, nextCursor: entries.length === pageSize ? entries[entries.length - 1].id : null });
+    } catch (e) {
+        console.error('Audit log error:', e);
+        res.status(500).json({ message: 'Failed to fetch audit log' });
+    }
+});
 
-// Stripe Webhook
-app.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    let event;
+// Login attempts across all accounts, filterable by userId, identifier, ip and success
+app.get('/api/admin/login-attempts', authMiddleware, adminMiddleware, async (req, res) => {
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const cursor = parseInt(req.query.before, 10);
+    const userId = parseInt(req.query.userId, 10);
+    const success = req.query.success === undefined ? null : req.query.success === 'true';
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } catch (err) {
-        console.error(`Webhook signature verification failed.`, err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        const result = await pool.query(
+            `SELECT a.id, a.user_id, u.username, a.identifier, a.ip_address, a.user_agent, a.success, a.failure_reason, a.created_at
+             FROM login_attempts a LEFT JOIN users u ON u.id = a.user_id
+             WHERE ($1::int IS NULL OR a.id < $1) AND ($2::int IS NULL OR a.user_id = $2)
+               AND ($3::text IS NULL OR a.identifier = $3) AND ($4::text IS NULL OR a.ip_address = $4)
+               AND ($5::boolean IS NULL OR a.success = $5)
+             ORDER BY a.id DESC LIMIT $6`,
+            [isNaN(cursor) ? null : cursor, isNaN(userId) ? null : userId, req.query.identifier || null, req.query.ip || null, success, pageSize]
+        );
+        const attempts = result.rows;
+        res.json({ attempts, nextCursor: attempts.length === pageSize ? attempts[attempts.length - 1].id : null });
+    } catch (e) {
+        console.error('Admin login attempts error:', e);
+        res.status(500).json({ message: 'Failed to fetch login attempts' });
     }
+});
 
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const { userId, points } = session.metadata;
+// Admin report of referrers whose referrals look like abuse.
+// A referrer is flagged for repeated rejected signups, many referees sharing an IP, or many referees that never qualify.
+app.get('/api/admin/referrals/suspicious', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT r.referrer_id, u.username, u.email, u.status,
+                   COUNT(*) AS total,
+                   SUM(CASE WHEN r.status = 'pending' THEN 1 ELSE 0 END) AS pending,
+                   SUM(CASE WHEN r.status = 'rewarded' THEN 1 ELSE 0 END) AS rewarded,
+                   SUM(CASE WHEN r.status = 'rejected' THEN 1 ELSE 0 END) AS rejected,
+                   SUM(CASE WHEN r.reject_reason = 'duplicate_email' OR r.reject_reason = 'self_referral' THEN 1 ELSE 0 END) AS duplicate_emails,
+                   SUM(CASE WHEN r.reject_reason = 'duplicate_ip' THEN 1 ELSE 0 END) AS duplicate_ips,
+                   COUNT(DISTINCT r.ip_hash) AS distinct_ips
+            FROM referrals r JOIN users u ON u.id = r.referrer_id
+            GROUP BY r.referrer_id, u.username, u.email, u.status
+        `);
 
-        if (userId && points) {
-            const client = await pool.connect();
-            try {
-                await client.query('UPDATE users SET points = points + $1 WHERE id = $2', [parseInt(points), parseInt(userId)]);
-                console.log(`User ${userId} was credited ${points} points.`);
-            } catch (err) {
-                console.error('Failed to update user points after payment:', err);
-            } finally {
-                client.release();
+        const referrers = result.rows.map(row => {
+            const stats = {};
+            for (const key of ['total', 'pending', 'rewarded', 'rejected', 'duplicate_emails', 'duplicate_ips', 'distinct_ips']) {
+                stats[key] = parseInt(row[key], 10);
             }
-        }
+            const reasons = [];
+            if (stats.rejected >= 3) reasons.push('repeated_rejected_signups');
+            if (stats.total >= 5 && stats.distinct_ips * 2 <= stats.total) reasons.push('shared_ips');
+            if (stats.total >= 10 && stats.rewarded * 5 < stats.total) reasons.push('low_qualification_rate');
+            return { referrer_id: row.referrer_id, username: row.username, email: row.email, status: row.status, ...stats, reasons };
+        });
+
+        res.json({ referrers: referrers.filter(r => r.reasons.length > 0).sort((a, b) => b.reasons.length - a.reasons.length || b.total - a.total) });
+    } catch (e) {
+        console.error('Suspicious referrals report error:', e);
+        res.status(500).json({ message: 'Failed to build referral report' });
     }
-    res.json({ received: true });
 });
 
+// Admin list of promo codes
+app.get('/api/admin/promo-codes', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM promo_codes ORDER BY id DESC');
+        res.json({ promoCodes: result.rows });
+    } catch (e) {
+        console.error('List promo codes error:', e);
+        res.status(500).json({ message: 'Failed to fetch promo codes' });
+    }
+});
 
-// Proxy for AI Generation
-app.post('/api/ai/generate', authMiddleware, async (req, res) => {
-    if (!ai) {
-        return res.status(503).json({ message: "AI service is not available." });
+// Admin create promo code
+app.post('/api/admin/promo-codes', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, error } = parsePromoCodeInput(req.body, false);
+    if (error) {
+        return res.status(400).json(error);
     }
-    
-    const { payload, removeWatermark } = req.body;
-    let cost = 0;
+    values.created_by = req.userId;
+    const columns = Object.keys(values);
     const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            `INSERT INTO promo_codes (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+            Object.values(values)
+        );
+        const promoCode = result.rows[0];
+        await recordAudit(client, req, { action: 'promo_code.create', targetType: 'promo_code', targetId: promoCode.id, after: promoCode });
+        await client.query('COMMIT');
+        res.status(201).json({ promoCode });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        if (e.code === '23505') {
+            return res.status(409).json({ field: 'code', message: 'A promo code with this code already exists.' });
+        }
+        console.error('Create promo code error:', e);
+        res.status(500).json({ message: 'Failed to create promo code' });
+    } finally {
+        client.release();
+    }
+});
 
+// Admin update promo code (only the fields sent are changed)
+app.put('/api/admin/promo-codes/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    const { values, error } = parsePromoCodeInput(req.body, true);
+    if (error) {
+        return res.status(400).json(error);
+    }
+    const client = await pool.connect();
     try {
         await client.query('BEGIN');
-        const settings = await getSettings(client);
-        
-        if(payload.type === 'generateImages') {
-            cost = removeWatermark ? settings.costs.imageCreate_noWatermark : settings.costs.imageCreate;
-        } else if (payload.type === 'generateContent' && payload.model === 'gemini-2.5-flash-image') {
-            cost = removeWatermark ? settings.costs.imageEdit_noWatermark : settings.costs.imageEdit;
-        } else if (payload.type === 'generateContent' && payload.model === 'gemini-2.5-flash-preview-tts') {
-            cost = Math.ceil(payload.contents[0].parts[0].text.length / 100) * settings.costs.textToSpeech;
-        } else if (payload.type === 'rewrite') {
-            cost = settings.costs.contentRewrite ?? 0;
-        } else if (payload.type === 'generate-tweets') {
-            cost = settings.costs.tweetGenerator ?? 0;
+        const currentRes = await client.query('SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (currentRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Promo code not found' });
         }
-        
-        // Deduct points
-        const userRes = await client.query('SELECT points FROM users WHERE id = $1 FOR UPDATE', [req.userId]);
-        if (userRes.rows[0].points < cost) {
-            return res.status(402).json({ message: 'Insufficient points' });
+        const updated = { ...currentRes.rows[0], ...values };
+        if ((updated.kind === 'points' && !updated.points) || (updated.kind === 'discount' && !updated.percent_off)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ field: updated.kind === 'points' ? 'points' : 'percentOff', message: `A ${updated.kind} code needs a ${updated.kind === 'points' ? 'points' : 'percentOff'} value.` });
+        }
+        // The Stripe coupon carries the old percentage, so a new one is created on next use
+        if (values.percent_off !== undefined && values.percent_off !== currentRes.rows[0].percent_off) {
+            values.stripe_coupon_id = null;
         }
-        const updatedUserRes = await client.query('UPDATE users SET points = points - $1 WHERE id = $2 RETURNING *', [cost, req.userId]);
-        
-        let aiResult;
-        
-        if (payload.type === 'generateImages') {
-            const response = await ai.models.generateImages({ model: payload.model, prompt: payload.prompt, config: payload.config });
-            aiResult = { dataUrl: `data:image/png;base64,${response.generatedImages[0].image.imageBytes}` };
-        } else if (payload.type === 'generateContent' && payload.model === 'gemini-2.5-flash-image') {
-            const response = await ai.models.generateContent(payload);
-            const part = response.candidates[0].content.parts.find(p => p.inlineData);
-            aiResult = { dataUrl: `data:image/png;base64,${part.inlineData.data}` };
-        } else if (payload.type === 'generateContent' && payload.model === 'gemini-2.5-flash-preview-tts') {
-            const response = await ai.models.generateContent(payload);
-            const part = response.candidates[0].content.parts.find(p => p.inlineData);
-            aiResult = { base64Audio: part.inlineData.data };
-        } else if (payload.type === 'rewrite') {
-             const systemInstruction = {
-                'simplify': "You are an expert content editor. Rewrite the following text to make it simpler and easier to understand, as if explaining it to a high school student. Maintain the core message.",
-                'summarize': "You are a skilled summarizer. Condense the following text into its most essential points. The result should be significantly shorter but capture the main idea.",
-                'expand': "You are a creative writer. Expand on the following text, adding more detail, examples, and descriptive language to make it longer and more comprehensive.",
-                'professional': "You are a professional business writer. Rewrite the following text in a formal, corporate tone. Use professional vocabulary and a structured format.",
-                'points': "You are a content organizer. Convert the main ideas of the following text into a clear, concise bulleted list. Each point should be easy to scan."
-            }[payload.style];
-            
-            const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash',
-                contents: payload.text,
-                config: { systemInstruction: systemInstruction }
-            });
-            aiResult = { text: response.text };
 
-        } else if (payload.type === 'generate-tweets') {
-             const prompt = `Based on the topic "${payload.idea}", generate 3-5 engaging and distinct tweets. Each tweet should be concise, include relevant hashtags, and have a different angle (e.g., a question, a surprising fact, a call to action). Format the output clearly, separating each tweet.`;
-              const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash',
-                contents: prompt,
-              });
-             aiResult = { text: response.text };
+        const columns = Object.keys(values);
+        let promoCode = currentRes.rows[0];
+        if (columns.length > 0) {
+            const result = await client.query(
+                `UPDATE promo_codes SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+                [...Object.values(values), req.params.id]
+            );
+            promoCode = result.rows[0];
         }
-        
+        await recordAudit(client, req, { action: 'promo_code.update', targetType: 'promo_code', targetId: promoCode.id, before: currentRes.rows[0], after: promoCode });
         await client.query('COMMIT');
-        const updatedUser = updatedUserRes.rows[0];
-        delete updatedUser.password_hash;
-        res.json({ result: aiResult, user: updatedUser });
+        res.json({ promoCode });
+    } catch (e) {
+        await client.query('ROLLBACK');
+        if (e.code === '23505') {
+            return res.status(409).json({ field: 'code', message: 'A promo code with this code already exists.' });
+        }
+        console.error('Update promo code error:', e);
+        res.status(500).json({ message: 'Failed to update promo code' });
+    } finally {
+        client.release();
+    }
+});
 
-    } catch (error) {
+// Admin delete promo code; codes that were already used can only be deactivated
+app.delete('/api/admin/promo-codes/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const usedRes = await client.query('SELECT id FROM promo_redemptions WHERE code_id = $1 LIMIT 1', [req.params.id]);
+        if (usedRes.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: 'This code has been redeemed; deactivate it instead.' });
+        }
+        const result = await client.query('DELETE FROM promo_codes WHERE id = $1 RETURNING *', [req.params.id]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Promo code not found' });
+        }
+        await recordAudit(client, req, { action: 'promo_code.delete', targetType: 'promo_code', targetId: req.params.id, before: result.rows[0] });
+        await client.query('COMMIT');
+        res.json({ message: 'Promo code deleted' });
+    } catch (e) {
         await client.query('ROLLBACK');
-        console.error('AI Generation Proxy Error:', error);
-        res.status(500).json({ message: error.message || 'An error occurred during AI generation.' });
+        console.error('Delete promo code error:', e);
+        res.status(500).json({ message: 'Failed to delete promo code' });
     } finally {
         client.release();
     }
 });
 
-// Admin get all users
-app.get('/api/admin/users', authMiddleware, adminMiddleware, async(req, res) => {
-     const client = await pool.connect();
-     try {
-         const result = await client.query('SELECT id, username, email, points, country, status, is_admin, created_at FROM users ORDER BY created_at DESC');
-         res.json({ users: result.rows });
-     } catch (e) {
-         res.status(500).json({ message: 'Failed to fetch users' });
-     } finally {
-         client.release();
-     }
+// Admin redemption report: totals per code, optionally limited to redemptions between `from` and `to`
+app.get('/api/admin/promo-codes/report', authMiddleware, adminMiddleware, async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ message: 'from and to must be dates.' });
+    }
+    try {
+        const result = await pool.query(`
+            SELECT c.id, c.code, c.kind, c.active, c.max_redemptions, COALESCE(r.redemptions, 0) AS redemptions,
+                   COALESCE(r.users, 0) AS users, COALESCE(r.points, 0) AS points_granted, COALESCE(r.discount, 0) AS discount_amount
+            FROM promo_codes c LEFT JOIN (
+                SELECT code_id, COUNT(*) AS redemptions, COUNT(DISTINCT user_id) AS users, SUM(points) AS points, SUM(discount_amount) AS discount
+                FROM promo_redemptions
+                WHERE status = 'completed' AND ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+                GROUP BY code_id
+            ) r ON r.code_id = c.id
+            ORDER BY c.id DESC
+        `, [from, to]);
+        res.json({
+            report: result.rows.map(row => ({
+                ...row,
+                redemptions: parseInt(row.redemptions, 10),
+                users: parseInt(row.users, 10),
+                points_granted: parseInt(row.points_granted, 10),
+                discount_amount: parseInt(row.discount_amount, 10)
+            }))
+        });
+    } catch (e) {
+        console.error('Promo code report error:', e);
+        res.status(500).json({ message: 'Failed to build promo code report' });
+    }
 });
 
-// Admin update user
-app.put('/api/admin/users/:id', authMiddleware, adminMiddleware, async(req, res) => {
-    const { id } = req.params;
-    const { points, status } = req.body;
-    const client = await pool.connect();
+// Admin list of a promo code's redemptions, newest first
+app.get('/api/admin/promo-codes/:id/redemptions', authMiddleware, adminMiddleware, async (req, res) => {
     try {
-        const result = await client.query(
-            'UPDATE users SET points = $1, status = $2 WHERE id = $3 RETURNING id, username, email, points, country, status, is_admin, created_at',
-            [points, status, id]
+        const result = await pool.query(
+            `SELECT r.id, r.user_id, u.username, u.email, u.country, r.points, r.checkout_session_id, r.discount_amount, r.currency, r.status, r.created_at
+             FROM promo_redemptions r JOIN users u ON u.id = r.user_id
+             WHERE r.code_id = $1 ORDER BY r.id DESC`,
+            [req.params.id]
         );
-        res.json({ user: result.rows[0] });
-    } catch(e) {
-        res.status(500).json({ message: 'Failed to update user'});
-    } finally {
-        client.release();
+        res.json({ redemptions: result.rows });
+    } catch (e) {
+        console.error('Promo redemptions error:', e);
+        res.status(500).json({ message: 'Failed to fetch redemptions' });
+    }
+});
+
+// Page-view beacon; navigator.sendBeacon sends string bodies as text/plain, so JSON is accepted in either form
+app.post('/api/analytics/pageview', express.text({ type: 'text/plain', limit: '4kb' }), rateLimit('pageView'), async (req, res) => {
+    if (!shouldTrackPageView(req)) return res.status(204).end();
+    let body = req.body;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch (e) {
+            return res.status(400).json({ message: 'Body must be JSON.' });
+        }
+    }
+    const path = normalizePageViewPath(body && body.path);
+    if (!path) {
+        return res.status(400).json({ field: 'path', message: 'path must be a site path starting with "/".' });
+    }
+    try {
+        const day = new Date().toISOString().slice(0, 10);
+        const visitorHash = await getVisitorHash(req, day);
+        await pool.query(
+            'INSERT INTO page_views (day, visitor_hash, path, referrer_host) VALUES ($1, $2, $3, $4)',
+            [day, visitorHash, path, referrerHost(body.referrer)]
+        );
+        res.status(204).end();
+    } catch (e) {
+        console.error('Page view error:', e);
+        res.status(500).json({ message: 'Failed to record page view' });
+    }
+});
+
+// Admin time series between `from` and `to` (inclusive UTC days) per `interval` ('day' or 'week').
+// Every series is aligned with `buckets`; weekly visitors are the sum of daily unique visitors.
+app.get('/api/admin/analytics', authMiddleware, adminMiddleware, async (req, res) => {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) return res.status(400).json(range.error);
+    const { buckets, interval } = range;
+    const start = new Date(`${range.from}T00:00:00Z`);
+    const end = new Date(`${addDays(range.to, 1)}T00:00:00Z`);
+    const params = [start, end, interval];
+
+    try {
+        const [signups, active, operations, points, revenue, conversion, newPaying, views] = await Promise.all([
+            pool.query(`
+                SELECT ${analyticsBucket('created_at')} AS bucket, COUNT(*) AS count
+                FROM users WHERE created_at >= $1 AND created_at < $2 GROUP BY 1
+            `, params),
+            // Active users used an AI tool, signed in or claimed a daily reward
+            pool.query(`
+                SELECT ${analyticsBucket('at')} AS bucket, COUNT(DISTINCT user_id) AS count FROM (
+                    SELECT user_id, date AS at FROM history WHERE date >= $1 AND date < $2
+                    UNION ALL
+                    SELECT user_id, created_at FROM login_attempts WHERE success AND user_id IS NOT NULL AND created_at >= $1 AND created_at < $2
+                    UNION ALL
+                    SELECT user_id, created_at FROM points_transactions WHERE reason = 'daily_reward' AND created_at >= $1 AND created_at < $2
+                ) activity GROUP BY 1
+            `, params),
+            pool.query(`
+                SELECT ${analyticsBucket('date')} AS bucket, type, model, COUNT(*) AS count
+                FROM history WHERE status = 'succeeded' AND date >= $1 AND date < $2 GROUP BY 1, 2, 3
+            `, params),
+            pool.query(`
+                SELECT ${analyticsBucket('created_at')} AS bucket, reason,
+                       SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) AS spent,
+                       SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) AS granted
+                FROM points_transactions WHERE created_at >= $1 AND created_at < $2 GROUP BY 1, 2
+            `, params),
+            // Refunds are counted against the bucket of the original purchase
+            pool.query(`
+                SELECT ${analyticsBucket('created_at')} AS bucket, LOWER(currency) AS currency, COUNT(*) AS purchases,
+                       SUM(amount_total) AS gross, SUM(amount_refunded) AS refunded
+                FROM payments WHERE created_at >= $1 AND created_at < $2 GROUP BY 1, 2
+            `, params),
+            // Signup cohorts: how many of the users who signed up in a bucket have paid since
+            pool.query(`
+                SELECT ${analyticsBucket('u.created_at')} AS bucket, COUNT(*) AS signups, COUNT(p.user_id) AS converted
+                FROM users u LEFT JOIN (
+                    SELECT user_id FROM payments UNION SELECT user_id FROM subscriptions
+                ) p ON p.user_id = u.id
+                WHERE u.created_at >= $1 AND u.created_at < $2 GROUP BY 1
+            `, params),
+            pool.query(`
+                SELECT ${analyticsBucket('first_paid_at')} AS bucket, COUNT(*) AS count FROM (
+                    SELECT user_id, MIN(created_at) AS first_paid_at FROM (
+                        SELECT user_id, created_at FROM payments UNION ALL SELECT user_id, created_at FROM subscriptions
+                    ) paid GROUP BY user_id
+                ) first_payments WHERE first_paid_at >= $1 AND first_paid_at < $2 GROUP BY 1
+            `, params),
+            pool.query(`
+                SELECT to_char(date_trunc($3, day::timestamp), 'YYYY-MM-DD') AS bucket, COUNT(*) AS visitors, SUM(views) AS views FROM (
+                    SELECT day, visitor_hash, COUNT(*) AS views FROM page_views WHERE day >= $1 AND day <= $2 GROUP BY day, visitor_hash
+                ) daily GROUP BY 1
+            `, [range.from, range.to, interval])
+        ]);
+
+        const count = (row) => Number(row.count);
+        const operationsByType = groupSeries(buckets, operations.rows, row => row.type || 'unknown', count);
+        const spentByReason = groupSeries(buckets, points.rows.filter(row => Number(row.spent) > 0), row => row.reason, row => Number(row.spent));
+        const grantedByReason = groupSeries(buckets, points.rows.filter(row => Number(row.granted) > 0), row => row.reason, row => Number(row.granted));
+        const currencies = [...new Set(revenue.rows.map(row => row.currency))];
+        const cohortSignups = toSeries(buckets, conversion.rows, row => Number(row.signups));
+        const cohortConverted = toSeries(buckets, conversion.rows, row => Number(row.converted));
+
+        res.json({
+            from: range.from,
+            to: range.to,
+            interval,
+            buckets,
+            series: {
+                signups: toSeries(buckets, signups.rows, count),
+                activeUsers: toSeries(buckets, active.rows, count),
+                visitors: toSeries(buckets, views.rows, row => Number(row.visitors)),
+                pageViews: toSeries(buckets, views.rows, row => Number(row.views)),
+                aiOperations: {
+                    total: sumSeries(buckets, operationsByType),
+                    byType: operationsByType,
+                    byModel: groupSeries(buckets, operations.rows, row => row.model || 'unknown', count)
+                },
+                pointsSpent: { total: sumSeries(buckets, spentByReason), byReason: spentByReason },
+                pointsGranted: { total: sumSeries(buckets, grantedByReason), byReason: grantedByReason },
+                // Amounts in the currency's smallest unit, as Stripe reports them
+                revenue: Object.fromEntries(currencies.map(currency => {
+                    const rows = revenue.rows.filter(row => row.currency === currency);
+                    const gross = toSeries(buckets, rows, row => Number(row.gross));
+                    const refunded = toSeries(buckets, rows, row => Number(row.refunded));
+                    return [currency, {
+                        purchases: toSeries(buckets, rows, row => Number(row.purchases)),
+                        gross,
+                        refunded,
+                        net: gross.map((amount, i) => amount - refunded[i])
+                    }];
+                })),
+                conversion: {
+                    signups: cohortSignups,
+                    converted: cohortConverted,
+                    rate: cohortSignups.map((signupCount, i) => signupCount ? Math.round(cohortConverted[i] / signupCount * 10000) / 10000 : 0),
+                    newPayingUsers: toSeries(buckets, newPaying.rows, count)
+                }
+            }
+        });
+    } catch (e) {
+        console.error('Analytics error:', e);
+        res.status(500).json({ message: 'Failed to build analytics' });
     }
 });
 
@@ -921,12 +5347,14 @@ app.get('/api/stats', authMiddleware, adminMiddleware, async (req, res) => {
         const usersCount = await client.query('SELECT COUNT(*) FROM users');
         const operationsCount = await client.query('SELECT COUNT(*) FROM history');
         const totalReferrals = await client.query('SELECT SUM(referrals) FROM users WHERE referrals IS NOT NULL');
+        // Unique visitors per day, summed; visitor ids do not carry over between days
+        const visitorsCount = await client.query('SELECT COUNT(*) FROM (SELECT DISTINCT day, visitor_hash FROM page_views) daily');
 
         res.json({
             users: parseInt(usersCount.rows[0].count, 10),
             operations: parseInt(operationsCount.rows[0].count, 10),
             referrals: parseInt(totalReferrals.rows[0].sum, 10) || 0,
-            visitors: 0, // This would require a more complex tracking mechanism
+            visitors: parseInt(visitorsCount.rows[0].count, 10),
         });
     } catch (e) {
         res.status(500).json({ message: 'Failed to get stats' });
@@ -946,6 +5374,20 @@ const startServer = async () => {
         }
     }
 
+    const sweepHolds = () => sweepExpiredPointsHolds().catch(error => console.error('Failed to sweep expired points holds:', error));
+    sweepHolds();
+    setInterval(sweepHolds, 60 * 1000).unref();
+
+    const sweepPromoReservations = () => sweepStalePromoReservations().catch(error => console.error('Failed to sweep promo code reservations:', error));
+    setInterval(sweepPromoReservations, 10 * 60 * 1000).unref();
+
+    const sweepRateLimits = () => rateLimitStore.sweep().catch(error => console.error('Failed to sweep rate limits:', error));
+    setInterval(sweepRateLimits, 10 * 60 * 1000).unref();
+
+    const recoverJobs = () => recoverAiJobs().catch(error => console.error('Failed to recover AI jobs:', error));
+    recoverJobs();
+    setInterval(recoverJobs, JOB_HEARTBEAT_INTERVAL_MS).unref();
+
     app.listen(port, () => {
         console.log(`Server running on port ${port}`);
         if(dbInitializationError) console.error("SERVER IS RUNNING WITH DATABASE ERRORS.");
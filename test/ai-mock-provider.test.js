@@ -0,0 +1,92 @@
+// The AI endpoints end to end with AI_PROVIDER=mock, which needs no API key or network access
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, query, startTestServer, registerUser } = require('./helpers');
+
+describe('AI tools with the mock provider', { skip: skipWithoutDatabase }, () => {
+    let server;
+    let token;
+    let userId;
+
+    const generate = (payload) => server.request('POST', '/api/ai/generate', { body: { payload }, token });
+    const getPoints = async () => (await query('SELECT points FROM users WHERE id = $1', [userId])).rows[0].points;
+
+    before(async () => {
+        server = await startTestServer({ API_KEY: '' });
+        const registered = await registerUser(server, 'writer');
+        token = registered.token;
+        userId = registered.user.id;
+    });
+
+    after(() => server?.stop());
+
+    it('rewrites text with canned output and charges the quoted price', async () => {
+        const before = await getPoints();
+        const quote = await server.request('POST', '/api/ai/quote', { body: { payload: { type: 'rewrite', text: 'Tomatoes are red.', style: 'simplify' } }, token });
+        assert.equal(quote.status, 200);
+
+        const response = await generate({ type: 'rewrite', text: 'Tomatoes are red.', style: 'simplify' });
+        assert.equal(response.status, 200);
+        assert.match(response.body.result.text, /^\[mock [^\]]+\] /);
+        assert.equal(response.body.user.points, before - quote.body.quote.total);
+        assert.equal(await getPoints(), before - quote.body.quote.total);
+
+        const history = await query('SELECT type, status, result_text FROM history WHERE id = $1', [response.body.historyId]);
+        assert.deepEqual(history.rows, [{ type: 'rewrite', status: 'succeeded', result_text: response.body.result.text }]);
+    });
+
+    it('returns the same output for the same request', async () => {
+        const first = await generate({ type: 'generate-tweets', idea: 'tomato season' });
+        const second = await generate({ type: 'generate-tweets', idea: 'tomato season' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.result.text, second.body.result.text);
+    });
+
+    it('stores a generated image as an asset served through a signed URL', async () => {
+        const response = await generate({ type: 'image-generate', prompt: 'a ripe tomato' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.result.mimeType, 'image/png');
+        assert.ok(response.body.result.assetId);
+
+        const image = await fetch(response.body.result.url);
+        assert.equal(image.status, 200);
+        assert.equal(image.headers.get('content-type'), 'image/png');
+        const bytes = Buffer.from(await image.arrayBuffer());
+        assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    });
+
+    it('synthesizes speech as a WAV file', async () => {
+        const response = await generate({ type: 'text-to-speech', text: 'Hello' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.result.mimeType, 'audio/wav');
+
+        const audio = Buffer.from(await (await fetch(response.body.result.url)).arrayBuffer());
+        assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+        assert.equal(audio.toString('ascii', 8, 12), 'WAVE');
+    });
+
+    it('streams text output as server-sent events', async () => {
+        const response = await fetch(`${server.baseUrl}/api/ai/stream`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: JSON.stringify({ payload: { type: 'rewrite', text: 'Tomatoes are red and ripe.', style: 'summarize' } })
+        });
+        assert.equal(response.status, 200);
+        const events = (await response.text()).split('\n\n').filter(Boolean).map(block => ({
+            event: /^event: (.*)$/m.exec(block)?.[1],
+            data: JSON.parse(/^data: (.*)$/m.exec(block)[1])
+        }));
+        const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text);
+        const done = events.find(({ event }) => event === 'done');
+        assert.ok(tokens.length > 1);
+        assert.ok(done);
+        assert.equal(tokens.join(''), done.data.text);
+    });
+
+    it('refuses requests the user cannot afford', async () => {
+        await query('UPDATE users SET points = 0 WHERE id = $1', [userId]);
+        const response = await generate({ type: 'image-generate', prompt: 'a ripe tomato' });
+        assert.equal(response.status, 402);
+        assert.equal(await getPoints(), 0);
+    });
+});
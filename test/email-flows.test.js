@@ -0,0 +1,66 @@
+// Email verification and password reset, read back from the file mail transport's outbox
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { skipWithoutDatabase, startTestServer, registerUser } = require('./helpers');
+
+describe('Emailed links', { skip: skipWithoutDatabase }, () => {
+    let server;
+    let token;
+
+    // The messages sent to `to`, oldest first
+    const readOutbox = (to) => {
+        if (!fs.existsSync(server.outboxDir)) return [];
+        return fs.readdirSync(server.outboxDir).sort()
+            .map(file => JSON.parse(fs.readFileSync(path.join(server.outboxDir, file), 'utf8')))
+            .filter(message => message.to === to);
+    };
+    const linkToken = (message) => /[?&]token=([\w-]+)/.exec(message.text)[1];
+
+    before(async () => {
+        server = await startTestServer();
+        ({ token } = await registerUser(server, 'reader'));
+    });
+
+    after(() => server?.stop());
+
+    it('sends a verification link on registration that verifies the address once', async () => {
+        const messages = readOutbox('reader@example.com');
+        assert.equal(messages.length, 1);
+        assert.match(messages[0].subject, /Verify your email address/);
+        assert.match(messages[0].html, /verify-email\?token=/);
+
+        const verifyToken = linkToken(messages[0]);
+        const verified = await server.request('POST', '/api/auth/verify-email', { body: { token: verifyToken } });
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.user.email_verified, true);
+
+        const reused = await server.request('POST', '/api/auth/verify-email', { body: { token: verifyToken } });
+        assert.equal(reused.status, 400);
+    });
+
+    it('resets the password with the emailed link and ends existing sessions', async () => {
+        const requested = await server.request('POST', '/api/auth/forgot-password', { body: { email: 'reader@example.com' } });
+        assert.equal(requested.status, 200);
+        const resetMessage = readOutbox('reader@example.com').at(-1);
+        assert.match(resetMessage.text, /reset-password\?token=/);
+
+        const reset = await server.request('POST', '/api/auth/reset-password', { body: { token: linkToken(resetMessage), password: 'new-password-7' } });
+        assert.equal(reset.status, 200);
+
+        assert.equal((await server.request('GET', '/api/users/me', { token })).status, 401);
+        const oldLogin = await server.request('POST', '/api/login', { body: { identifier: 'reader', password: 'correct-horse-42' } });
+        assert.equal(oldLogin.status, 401);
+        const newLogin = await server.request('POST', '/api/login', { body: { identifier: 'reader', password: 'new-password-7' } });
+        assert.equal(newLogin.status, 200);
+    });
+
+    it('answers reset requests for unknown addresses the same way without sending mail', async () => {
+        const known = await server.request('POST', '/api/auth/forgot-password', { body: { email: 'reader@example.com' } });
+        const unknown = await server.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+        assert.equal(unknown.status, known.status);
+        assert.deepEqual(unknown.body, known.body);
+        assert.equal(readOutbox('nobody@example.com').length, 0);
+    });
+});
@@ -0,0 +1,129 @@
+// Shared setup for the integration tests. Each test file runs server.js as a child process against
+// the database in TEST_DATABASE_URL, which is wiped first: never point it at a database you need.
+// Local servers without TLS need `?sslmode=disable` in the URL.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+const SERVER_START_TIMEOUT_MS = 30 * 1000;
+
+// The `skip` option for suites that need a database
+const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+// Runs one query on the test database
+const query = async (text, values) => {
+    const client = new Client({ connectionString: TEST_DATABASE_URL });
+    await client.connect();
+    try {
+        return await client.query(text, values);
+    } finally {
+        await client.end();
+    }
+};
+
+const resetDatabase = () => query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+
+const getFreePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Starts the server on an empty database with the offline mock AI provider and the file mail
+// transport. `env` adds or overrides environment variables.
+const startTestServer = async (env = {}) => {
+    await resetDatabase();
+    const port = await getFreePort();
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tomato-ai-test-'));
+    const outboxDir = path.join(tempDir, 'outbox');
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATABASE_URL: TEST_DATABASE_URL,
+            JWT_SECRET: 'test-jwt-secret',
+            STRIPE_WEBHOOK_SECRET,
+            AI_PROVIDER: 'mock',
+            MAIL_TRANSPORT: 'file',
+            MAIL_OUTBOX_DIR: outboxDir,
+            STORAGE_DIR: path.join(tempDir, 'storage'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const server = {
+        baseUrl,
+        outboxDir,
+        output: () => output,
+        // Sends a JSON request and returns the status and parsed body
+        request: async (method, urlPath, { body, token, headers = {} } = {}) => {
+            const response = await fetch(baseUrl + urlPath, {
+                method,
+                headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let parsed = text;
+            try { parsed = JSON.parse(text); } catch { /* not JSON */ }
+            return { status: response.status, body: parsed, headers: response.headers };
+        },
+        stop: async () => {
+            if (child.exitCode === null) child.kill();
+            await exited;
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            throw new Error(`The server exited during startup:\n${output}`);
+        }
+        try {
+            await fetch(`${baseUrl}/api/health`);
+            return server;
+        } catch {
+            if (Date.now() > deadline) {
+                await server.stop();
+                throw new Error(`The server did not start within ${SERVER_START_TIMEOUT_MS / 1000}s:\n${output}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+};
+
+// Registers a user and returns the user row and access token
+const registerUser = async (server, username) => {
+    const { status, body } = await server.request('POST', '/api/register', {
+        body: { username, email: `${username}@example.com`, password: 'correct-horse-42' }
+    });
+    if (status !== 201) {
+        throw new Error(`Registering ${username} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return { user: body.user, token: body.token };
+};
+
+// Registers an admin. Two-factor authentication for admins is switched off, so tests need no TOTP codes.
+const registerAdmin = async (server, username) => {
+    const registered = await registerUser(server, username);
+    await query('UPDATE users SET is_admin = TRUE WHERE id = $1', [registered.user.id]);
+    await query(`UPDATE settings SET value = jsonb_set(value, '{security,requireAdminTwoFactor}', 'false') WHERE key = 'app_settings'`);
+    return registered;
+};
+
+module.exports = { STRIPE_WEBHOOK_SECRET, skipWithoutDatabase, query, startTestServer, registerUser, registerAdmin };
@@ -0,0 +1,44 @@
+// Routes with a numeric id in the URL answer ids that cannot exist with 404 rather than a database error
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestServer, registerUser, registerAdmin } = require('./helpers');
+
+const INVALID_IDS = ['abc', '0', '-1', '1.5', '99999999999'];
+
+describe('Numeric id parameters', { skip: skipWithoutDatabase }, () => {
+    let server;
+    let token;
+    let adminToken;
+
+    before(async () => {
+        server = await startTestServer();
+        ({ token } = await registerUser(server, 'owner'));
+        ({ token: adminToken } = await registerAdmin(server, 'admin'));
+    });
+
+    after(() => server?.stop());
+
+    it('answers invalid session ids with 404', async () => {
+        for (const id of INVALID_IDS) {
+            const response = await server.request('DELETE', `/api/users/me/sessions/${id}`, { token });
+            assert.equal(response.status, 404, id);
+            assert.equal(response.body.message, 'Session not found');
+        }
+    });
+
+    it('answers invalid history ids with 404', async () => {
+        for (const id of INVALID_IDS) {
+            const response = await server.request('DELETE', `/api/history/${id}`, { token });
+            assert.equal(response.status, 404, id);
+            assert.equal(response.body.message, 'History entry not found');
+        }
+    });
+
+    it('answers invalid user ids in admin updates with 404', async () => {
+        for (const id of INVALID_IDS) {
+            const response = await server.request('PUT', `/api/admin/users/${id}`, { body: { points: 10 }, token: adminToken });
+            assert.equal(response.status, 404, id);
+            assert.equal(response.body.message, 'User not found');
+        }
+    });
+});
@@ -0,0 +1,46 @@
+// Saving settings through POST /api/settings, which validates the merged document against its schema
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestServer, registerAdmin } = require('./helpers');
+
+describe('POST /api/settings', { skip: skipWithoutDatabase }, () => {
+    let server;
+    let token;
+
+    const saveSettings = (settings) => server.request('POST', '/api/settings', { body: { settings }, token });
+    const getSettings = async () => (await server.request('GET', '/api/settings')).body;
+
+    before(async () => {
+        server = await startTestServer();
+        ({ token } = await registerAdmin(server, 'admin'));
+    });
+
+    after(() => server?.stop());
+
+    it('refuses to empty the store packages', async () => {
+        const response = await saveSettings({ store: { packages: [] } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.field, 'store.packages');
+        assert.ok((await getSettings()).store.packages.length > 0);
+    });
+
+    it('refuses to empty the testimonials', async () => {
+        const response = await saveSettings({ content: { testimonials: { items: [] } } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.field, 'content.testimonials.items');
+        assert.ok((await getSettings()).content.testimonials.items.length > 0);
+    });
+
+    it('replaces the packages with a non-empty list', async () => {
+        const packages = [{ id: 7, points: 1000, price: 30, stripePriceId: 'price_test_1000' }];
+        const response = await saveSettings({ store: { packages } });
+        assert.equal(response.status, 200);
+        assert.deepEqual((await getSettings()).store.packages, packages);
+    });
+
+    it('still allows other collections to be emptied', async () => {
+        const response = await saveSettings({ content: { faq: { items: [] } } });
+        assert.equal(response.status, 200);
+        assert.deepEqual((await getSettings()).content.faq.items, []);
+    });
+});
@@ -0,0 +1,138 @@
+// Stripe webhook handling, driven by payloads signed locally with the webhook secret
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { STRIPE_WEBHOOK_SECRET, skipWithoutDatabase, query, startTestServer, registerUser } = require('./helpers');
+
+describe('POST /stripe-webhook', { skip: skipWithoutDatabase }, () => {
+    let server;
+    let user;
+    let eventCount = 0;
+
+    const sendEvent = async (type, object, { id = `evt_test_${++eventCount}`, secret = STRIPE_WEBHOOK_SECRET } = {}) => {
+        const payload = JSON.stringify({ id, object: 'event', type, data: { object } });
+        const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+        const response = await fetch(`${server.baseUrl}/stripe-webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'stripe-signature': signature },
+            body: payload
+        });
+        const text = await response.text();
+        return { status: response.status, body: text.startsWith('{') ? JSON.parse(text) : text };
+    };
+
+    const getPoints = async () => (await query('SELECT points FROM users WHERE id = $1', [user.id])).rows[0].points;
+
+    const paidSession = (id, paymentIntent, points) => ({
+        id,
+        object: 'checkout.session',
+        mode: 'payment',
+        payment_status: 'paid',
+        payment_intent: paymentIntent,
+        amount_total: 1000,
+        currency: 'usd',
+        metadata: { userId: String(user.id), packageId: '1', points: String(points) }
+    });
+
+    before(async () => {
+        server = await startTestServer();
+        ({ user } = await registerUser(server, 'buyer'));
+    });
+
+    after(() => server?.stop());
+
+    it('rejects payloads with an invalid signature', async () => {
+        const response = await sendEvent('checkout.session.completed', paidSession('cs_forged', 'pi_forged', 1000), { secret: 'whsec_wrong' });
+        assert.equal(response.status, 400);
+        assert.equal((await query('SELECT COUNT(*)::int AS count FROM payments')).rows[0].count, 0);
+    });
+
+    it('credits a paid checkout once and ignores a redelivered event id', async () => {
+        const before = await getPoints();
+        const session = paidSession('cs_paid', 'pi_paid', 100);
+
+        const first = await sendEvent('checkout.session.completed', session, { id: 'evt_paid' });
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body, { received: true });
+
+        const redelivered = await sendEvent('checkout.session.completed', session, { id: 'evt_paid' });
+        assert.equal(redelivered.status, 200);
+        assert.deepEqual(redelivered.body, { received: true, duplicate: true });
+
+        assert.equal(await getPoints(), before + 100);
+        const events = await query("SELECT type FROM stripe_events WHERE id = 'evt_paid'");
+        assert.deepEqual(events.rows, [{ type: 'checkout.session.completed' }]);
+        const payments = await query("SELECT points, status FROM payments WHERE checkout_session_id = 'cs_paid'");
+        assert.deepEqual(payments.rows, [{ points: 100, status: 'paid' }]);
+    });
+
+    it('credits a session only once when a different event reports it again', async () => {
+        const before = await getPoints();
+        const response = await sendEvent('checkout.session.async_payment_succeeded', paidSession('cs_paid', 'pi_paid', 100));
+        assert.equal(response.status, 200);
+        assert.equal(await getPoints(), before);
+    });
+
+    it('reverses points in proportion to the amount refunded', async () => {
+        const before = await getPoints();
+        const response = await sendEvent('charge.refunded', {
+            id: 'ch_partial', object: 'charge', payment_intent: 'pi_paid', amount: 1000, amount_refunded: 250
+        });
+        assert.equal(response.status, 200);
+        assert.equal(await getPoints(), before - 25);
+
+        const payment = (await query("SELECT status, amount_refunded, points_reversed FROM payments WHERE payment_intent_id = 'pi_paid'")).rows[0];
+        assert.deepEqual(payment, { status: 'partially_refunded', amount_refunded: 250, points_reversed: 25 });
+        const ledger = await query("SELECT amount FROM points_transactions WHERE user_id = $1 AND reason = 'refund'", [user.id]);
+        assert.deepEqual(ledger.rows, [{ amount: -25 }]);
+    });
+
+    it('reverses the rest of the points once the refund is complete', async () => {
+        const before = await getPoints();
+        await sendEvent('charge.refunded', {
+            id: 'ch_full', object: 'charge', payment_intent: 'pi_paid', amount: 1000, amount_refunded: 1000
+        });
+        assert.equal(await getPoints(), before - 75);
+        const payment = (await query("SELECT status, points_reversed FROM payments WHERE payment_intent_id = 'pi_paid'")).rows[0];
+        assert.deepEqual(payment, { status: 'refunded', points_reversed: 100 });
+    });
+
+    it('reverses every point of a disputed payment, even past a zero balance', async () => {
+        await sendEvent('checkout.session.completed', paidSession('cs_disputed', 'pi_disputed', 500));
+        // Most of the purchase has been spent by the time the dispute arrives
+        await query('UPDATE users SET points = 100 WHERE id = $1', [user.id]);
+
+        const response = await sendEvent('charge.dispute.created', { id: 'dp_1', object: 'dispute', payment_intent: 'pi_disputed' });
+        assert.equal(response.status, 200);
+        assert.equal(await getPoints(), -400);
+
+        const payment = (await query("SELECT status, points_reversed FROM payments WHERE payment_intent_id = 'pi_disputed'")).rows[0];
+        assert.deepEqual(payment, { status: 'disputed', points_reversed: 500 });
+    });
+
+    it('releases the discount code reserved by an expired checkout session', async () => {
+        const promo = (await query(
+            "INSERT INTO promo_codes (code, kind, percent_off, max_redemptions, redemption_count) VALUES ('SPRING', 'discount', 20, 1, 1) RETURNING id"
+        )).rows[0];
+        await query(
+            "INSERT INTO promo_redemptions (code_id, user_id, checkout_session_id, status) VALUES ($1, $2, 'cs_abandoned', 'pending')",
+            [promo.id, user.id]
+        );
+
+        const response = await sendEvent('checkout.session.expired', {
+            id: 'cs_abandoned', object: 'checkout.session', status: 'expired', metadata: { userId: String(user.id), promoCodeId: String(promo.id) }
+        });
+        assert.equal(response.status, 200);
+
+        const code = (await query('SELECT redemption_count FROM promo_codes WHERE id = $1', [promo.id])).rows[0];
+        assert.equal(code.redemption_count, 0);
+        const redemptions = await query('SELECT id FROM promo_redemptions WHERE code_id = $1', [promo.id]);
+        assert.equal(redemptions.rows.length, 0);
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+        const response = await sendEvent('customer.created', { id: 'cus_1', object: 'customer' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, { received: true });
+    });
+});